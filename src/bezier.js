@@ -0,0 +1,507 @@
+import { toPoint } from './toPoint.js';
+
+// 5-point Gauss–Legendre quadrature on [0, 1], shared with svgPath.js
+export const GAUSS_NODES = [0.0469100770306680, 0.2307653449471585, 0.5, 0.7692346550528415, 0.9530899229693320];
+export const GAUSS_WEIGHTS = [0.1184634425280945, 0.2393143352496832, 0.2844444444444444, 0.2393143352496832, 0.1184634425280945];
+
+// Lengths are integrated over this many pieces of the curve
+const LENGTH_STEPS = 16;
+
+// Normalize a curve to {x, y} control points, checking its degree
+function toCurve(curve, name) {
+  if (!Array.isArray(curve) || (curve.length !== 3 && curve.length !== 4)) {
+    throw new Error(`${name}: a curve needs 3 (quadratic) or 4 (cubic) control points`);
+  }
+
+  return curve.map(toPoint);
+}
+
+const lerpPoint = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+
+// De Casteljau's algorithm, keeping the control points of both halves
+function deCasteljau(pts, t) {
+  const left = [pts[0]];
+  const right = [pts[pts.length - 1]];
+  let level = pts;
+
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length - 1; i++) next.push(lerpPoint(level[i], level[i + 1], t));
+
+    left.push(next[0]);
+    right.unshift(next[next.length - 1]);
+    level = next;
+  }
+
+  return { point: level[0], left, right };
+}
+
+// Point and derivative of a quadratic or cubic curve given as {x, y} control
+// points, in Bernstein form. Shared with svgPath.js
+export function curvePoint(pts, t) {
+  const mt = 1 - t;
+
+  if (pts.length === 3) {
+    const [p0, p1, p2] = pts;
+    return {
+      x: mt * mt * p0.x + 2 * mt * t * p1.x + t * t * p2.x,
+      y: mt * mt * p0.y + 2 * mt * t * p1.y + t * t * p2.y
+    };
+  }
+
+  const [p0, p1, p2, p3] = pts;
+  const a = mt * mt * mt;
+  const b = 3 * mt * mt * t;
+  const c = 3 * mt * t * t;
+  const d = t * t * t;
+
+  return { x: a * p0.x + b * p1.x + c * p2.x + d * p3.x, y: a * p0.y + b * p1.y + c * p2.y + d * p3.y };
+}
+
+export function curveDerivative(pts, t) {
+  const mt = 1 - t;
+
+  if (pts.length === 3) {
+    const [p0, p1, p2] = pts;
+    return {
+      x: 2 * mt * (p1.x - p0.x) + 2 * t * (p2.x - p1.x),
+      y: 2 * mt * (p1.y - p0.y) + 2 * t * (p2.y - p1.y)
+    };
+  }
+
+  const [p0, p1, p2, p3] = pts;
+
+  return {
+    x: 3 * mt * mt * (p1.x - p0.x) + 6 * mt * t * (p2.x - p1.x) + 3 * t * t * (p3.x - p2.x),
+    y: 3 * mt * mt * (p1.y - p0.y) + 6 * mt * t * (p2.y - p1.y) + 3 * t * t * (p3.y - p2.y)
+  };
+}
+
+function secondDerivative(pts, t) {
+  const n = pts.length - 1;
+  const d = [];
+
+  for (let i = 0; i < n - 1; i++) {
+    d.push({
+      x: n * (n - 1) * (pts[i + 2].x - 2 * pts[i + 1].x + pts[i].x),
+      y: n * (n - 1) * (pts[i + 2].y - 2 * pts[i + 1].y + pts[i].y)
+    });
+  }
+
+  return d.length === 1 ? d[0] : lerpPoint(d[0], d[1], t);
+}
+
+// Unit tangent, looking just inside the curve where control points coincide
+function unitTangent(pts, t) {
+  let d = curveDerivative(pts, t);
+
+  if (d.x === 0 && d.y === 0) d = curveDerivative(pts, t < 0.5 ? t + 1e-6 : t - 1e-6);
+  if (d.x === 0 && d.y === 0) d = { x: pts[pts.length - 1].x - pts[0].x, y: pts[pts.length - 1].y - pts[0].y };
+
+  const len = Math.sqrt(d.x * d.x + d.y * d.y);
+  return len > 0 ? { x: d.x / len, y: d.y / len } : { x: 1, y: 0 };
+}
+
+const speed = (pts, t) => {
+  const d = curveDerivative(pts, t);
+  return Math.sqrt(d.x * d.x + d.y * d.y);
+};
+
+// Arc length between parameters a and b
+function arcLength(pts, a, b) {
+  let length = 0;
+
+  for (let i = 0; i < LENGTH_STEPS; i++) {
+    const t0 = a + ((b - a) * i) / LENGTH_STEPS;
+    const t1 = a + ((b - a) * (i + 1)) / LENGTH_STEPS;
+
+    GAUSS_NODES.forEach((node, k) => {
+      length += GAUSS_WEIGHTS[k] * speed(pts, t0 + (t1 - t0) * node) * (t1 - t0);
+    });
+  }
+
+  return length;
+}
+
+// Distance of the inner control points from the chord, a bound on how far the curve strays
+function flatness(pts) {
+  const start = pts[0];
+  const end = pts[pts.length - 1];
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const len = Math.sqrt(dx * dx + dy * dy);
+
+  return pts.slice(1, -1).reduce((max, p) => {
+    const dist =
+      len === 0
+        ? Math.sqrt((p.x - start.x) ** 2 + (p.y - start.y) ** 2)
+        : Math.abs((p.x - start.x) * dy - (p.y - start.y) * dx) / len;
+    return Math.max(max, dist);
+  }, 0);
+}
+
+function flatten(pts, tolerance, out, depth) {
+  if (depth >= 16 || flatness(pts) <= tolerance) {
+    const end = pts[pts.length - 1];
+    out.push({ x: end.x, y: end.y });
+    return;
+  }
+
+  const { left, right } = deCasteljau(pts, 0.5);
+  flatten(left, tolerance, out, depth + 1);
+  flatten(right, tolerance, out, depth + 1);
+}
+
+/**
+ * Calculate the point at `t` on a quadratic or cubic Bézier curve.
+ *
+ * Curves are arrays of 3 (quadratic) or 4 (cubic) control points, as
+ * `{x, y}` objects or `[x, y]` pairs, from start point to end point.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} curve - Control points
+ * @param {number} t - Position along the curve (0-1)
+ * @returns {{x: number, y: number}} Point on the curve
+ * @throws {Error} If the curve does not have 3 or 4 control points
+ * @example
+ * bezierPoint([[0, 0], [50, 100], [100, 0]], 0.5) // { x: 50, y: 50 }
+ */
+export function bezierPoint(curve, t) {
+  return curvePoint(toCurve(curve, 'bezierPoint'), t);
+}
+
+/**
+ * Calculate the derivative (velocity) at `t` on a Bézier curve. Its direction
+ * is the curve's tangent.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} curve - 3 or 4 control points
+ * @param {number} t - Position along the curve (0-1)
+ * @returns {{x: number, y: number}} Derivative vector
+ * @throws {Error} If the curve does not have 3 or 4 control points
+ * @example
+ * const d = bezierDerivative(curve, 0.5)
+ * const angle = Math.atan2(d.y, d.x)
+ */
+export function bezierDerivative(curve, t) {
+  return curveDerivative(toCurve(curve, 'bezierDerivative'), t);
+}
+
+/**
+ * Split a Bézier curve in two at `t` (de Casteljau's algorithm).
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} curve - 3 or 4 control points
+ * @param {number} [t=0.5] - Where to split (0-1)
+ * @returns {Array<Array<{x: number, y: number}>>} The two halves, `[left, right]`, of the same degree
+ * @throws {Error} If the curve does not have 3 or 4 control points
+ * @example
+ * const [first, second] = splitBezier(curve, 0.3)
+ */
+export function splitBezier(curve, t = 0.5) {
+  const { left, right } = deCasteljau(toCurve(curve, 'splitBezier'), t);
+  return [left, right];
+}
+
+/**
+ * Calculate the arc length of a Bézier curve, or of its first part up to `t`.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} curve - 3 or 4 control points
+ * @param {number} [t=1] - Measure from the start up to this position (0-1)
+ * @returns {number} Length
+ * @throws {Error} If the curve does not have 3 or 4 control points
+ * @example
+ * bezierLength([[0, 0], [0, 0], [100, 0], [100, 0]]) // 100
+ */
+export function bezierLength(curve, t = 1) {
+  return arcLength(toCurve(curve, 'bezierLength'), 0, t);
+}
+
+/**
+ * Find the position `t` at a given distance along a Bézier curve, for
+ * spacing things evenly along it.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} curve - 3 or 4 control points
+ * @param {number} distance - Distance from the start (clamped to the curve's length)
+ * @returns {number} Position along the curve (0-1)
+ * @throws {Error} If the curve does not have 3 or 4 control points
+ * @example
+ * // 10 points evenly spaced by distance
+ * const length = bezierLength(curve)
+ * for (let i = 0; i <= 10; i++) {
+ *   const p = bezierPoint(curve, bezierTAtLength(curve, (i / 10) * length))
+ * }
+ */
+export function bezierTAtLength(curve, distance) {
+  const pts = toCurve(curve, 'bezierTAtLength');
+  const length = arcLength(pts, 0, 1);
+
+  if (length === 0 || distance <= 0) return 0;
+  if (distance >= length) return 1;
+
+  // Newton's method, kept inside a shrinking bracket
+  let lo = 0;
+  let hi = 1;
+  let t = distance / length;
+
+  for (let i = 0; i < 30; i++) {
+    const error = arcLength(pts, 0, t) - distance;
+
+    if (Math.abs(error) < length * 1e-10) break;
+
+    if (error > 0) hi = t;
+    else lo = t;
+
+    const v = speed(pts, t);
+    const next = v > 0 ? t - error / v : (lo + hi) / 2;
+    t = next > lo && next < hi ? next : (lo + hi) / 2;
+  }
+
+  return t;
+}
+
+/**
+ * Calculate the tight bounding box of a Bézier curve (not just of its
+ * control points).
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} curve - 3 or 4 control points
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number, width: number, height: number}} Bounding box
+ * @throws {Error} If the curve does not have 3 or 4 control points
+ * @example
+ * const { minX, minY, width, height } = bezierBounds(curve)
+ * svg.rect(width, height).move(minX, minY)
+ */
+export function bezierBounds(curve) {
+  const pts = toCurve(curve, 'bezierBounds');
+  const ts = [0, 1];
+
+  // Extremes are where the derivative of either coordinate is zero
+  ['x', 'y'].forEach((axis) => {
+    const v = pts.map((p) => p[axis]);
+
+    if (v.length === 3) {
+      const den = v[0] - 2 * v[1] + v[2];
+      if (den !== 0) ts.push((v[0] - v[1]) / den);
+      return;
+    }
+
+    // Derivative is a*t^2 + b*t + c (up to a factor of 3)
+    const a = -v[0] + 3 * v[1] - 3 * v[2] + v[3];
+    const b = 2 * (v[0] - 2 * v[1] + v[2]);
+    const c = v[1] - v[0];
+
+    if (Math.abs(a) < 1e-12) {
+      if (b !== 0) ts.push(-c / b);
+      return;
+    }
+
+    const disc = b * b - 4 * a * c;
+
+    if (disc >= 0) {
+      const root = Math.sqrt(disc);
+      ts.push((-b + root) / (2 * a), (-b - root) / (2 * a));
+    }
+  });
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  ts.filter((t) => t >= 0 && t <= 1).forEach((t) => {
+    const { x, y } = curvePoint(pts, t);
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  });
+
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Find the point on a Bézier curve closest to a given point.
+ *
+ * @param {{x: number, y: number}|[number, number]} point - Point to measure from
+ * @param {Array<{x: number, y: number}|[number, number]>} curve - 3 or 4 control points
+ * @returns {{x: number, y: number, t: number, distance: number}} Closest point, its position along the curve and its distance
+ * @throws {Error} If the curve does not have 3 or 4 control points
+ * @example
+ * const nearest = nearestPointOnBezier({ x: mouseX, y: mouseY }, curve)
+ * svg.line(mouseX, mouseY, nearest.x, nearest.y)
+ */
+export function nearestPointOnBezier(point, curve) {
+  const p = toPoint(point);
+  const pts = toCurve(curve, 'nearestPointOnBezier');
+  const distSq = (t) => {
+    const q = curvePoint(pts, t);
+    return (q.x - p.x) ** 2 + (q.y - p.y) ** 2;
+  };
+
+  // Coarse scan, then refine around the best sample
+  const samples = 64;
+  let best = 0;
+  let bestDist = Infinity;
+
+  for (let i = 0; i <= samples; i++) {
+    const d = distSq(i / samples);
+    if (d < bestDist) {
+      bestDist = d;
+      best = i / samples;
+    }
+  }
+
+  for (let step = 1 / samples; step > 1e-10; step /= 2) {
+    [best - step, best + step].forEach((t) => {
+      if (t < 0 || t > 1) return;
+      const d = distSq(t);
+      if (d < bestDist) {
+        bestDist = d;
+        best = t;
+      }
+    });
+  }
+
+  const { x, y } = curvePoint(pts, best);
+  return { x, y, t: best, distance: Math.sqrt(bestDist) };
+}
+
+/**
+ * Convert a Bézier curve to a polyline, using more points where it bends
+ * more so no line strays further than `tolerance` from the curve.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} curve - 3 or 4 control points
+ * @param {number} [tolerance=0.25] - Maximum distance between the polyline and the curve
+ * @returns {Array<{x: number, y: number}>} Points from the start of the curve to its end
+ * @throws {Error} If the curve does not have 3 or 4 control points
+ * @example
+ * svg.path(pointsToPath(flattenBezier(curve, 0.1), false))
+ */
+export function flattenBezier(curve, tolerance = 0.25) {
+  const pts = toCurve(curve, 'flattenBezier');
+  const out = [{ x: pts[0].x, y: pts[0].y }];
+
+  flatten(pts, tolerance, out, 0);
+
+  return out;
+}
+
+// One cubic approximating the offset of a cubic, bending the handles with the curvature
+function offsetCandidate(pts, distance) {
+  const ends = [0, 1].map((t) => {
+    const tangent = unitTangent(pts, t);
+    const normal = { x: -tangent.y, y: tangent.x };
+    const d1 = curveDerivative(pts, t);
+    const d2 = secondDerivative(pts, t);
+    const v = Math.sqrt(d1.x * d1.x + d1.y * d1.y);
+    const curvature = v > 0 ? (d1.x * d2.y - d1.y * d2.x) / (v * v * v) : 0;
+
+    return { normal, scale: Math.max(0, 1 - distance * curvature) };
+  });
+
+  const [p0, c1, c2, p3] = pts;
+  const q0 = { x: p0.x + ends[0].normal.x * distance, y: p0.y + ends[0].normal.y * distance };
+  const q3 = { x: p3.x + ends[1].normal.x * distance, y: p3.y + ends[1].normal.y * distance };
+
+  return [
+    q0,
+    { x: q0.x + (c1.x - p0.x) * ends[0].scale, y: q0.y + (c1.y - p0.y) * ends[0].scale },
+    { x: q3.x + (c2.x - p3.x) * ends[1].scale, y: q3.y + (c2.y - p3.y) * ends[1].scale },
+    q3
+  ];
+}
+
+function offsetPieces(pts, distance, tolerance, out, depth) {
+  const candidate = offsetCandidate(pts, distance);
+  let error = 0;
+
+  for (let i = 1; i < 10; i++) {
+    const t = i / 10;
+    const q = curvePoint(pts, t);
+    const tangent = unitTangent(pts, t);
+    const c = curvePoint(candidate, t);
+
+    error = Math.max(error, Math.hypot(c.x - (q.x - tangent.y * distance), c.y - (q.y + tangent.x * distance)));
+  }
+
+  if (error <= tolerance || depth >= 10) {
+    out.push(candidate);
+    return;
+  }
+
+  const { left, right } = deCasteljau(pts, 0.5);
+  offsetPieces(left, distance, tolerance, out, depth + 1);
+  offsetPieces(right, distance, tolerance, out, depth + 1);
+}
+
+/**
+ * Approximate the curve running parallel to a Bézier curve at a fixed
+ * distance, as a chain of cubic curves.
+ *
+ * Positive distances offset along the normal, the tangent turned a quarter
+ * turn clockwise on screen (to the right of the direction of travel).
+ * Offsets of curves with bends tighter than the distance form cusps, as
+ * true offset curves do.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} curve - 3 or 4 control points
+ * @param {number} distance - Offset distance
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.tolerance=0.25] - Maximum distance between the approximation and the true offset
+ * @returns {Array<Array<{x: number, y: number}>>} Cubic curves, each starting where the previous one ends
+ * @throws {Error} If the curve does not have 3 or 4 control points
+ * @example
+ * // Parallel strokes either side of a curve
+ * [-6, 0, 6].forEach(d => {
+ *   svg.path(bezierToPath(d === 0 ? curve : offsetBezier(curve, d))).fill('none').stroke('#000')
+ * })
+ */
+export function offsetBezier(curve, distance, options) {
+  const { tolerance } = Object.assign({ tolerance: 0.25 }, options);
+  let pts = toCurve(curve, 'offsetBezier');
+
+  // Raise quadratics to cubics, which describe the same curve
+  if (pts.length === 3) {
+    const [p0, p1, p2] = pts;
+    pts = [p0, lerpPoint(p0, p1, 2 / 3), lerpPoint(p2, p1, 2 / 3), p2];
+  }
+
+  const out = [];
+  offsetPieces(pts, distance, tolerance, out, 0);
+
+  return out;
+}
+
+/**
+ * Convert Bézier curves to an SVG path string, using `Q` for quadratics and
+ * `C` for cubics. A curve that starts where the previous one ended continues
+ * the same subpath.
+ *
+ * @param {Array} curves - One curve, or an array of curves (3 or 4 control points each)
+ * @returns {string} SVG path data
+ * @throws {Error} If a curve does not have 3 or 4 control points
+ * @example
+ * const [first, second] = splitBezier(curve, 0.5)
+ * svg.path(bezierToPath(first)).stroke('#e63946')
+ * svg.path(bezierToPath(offsetBezier(curve, 10))).stroke('#457b9d')
+ */
+export function bezierToPath(curves) {
+  if (!Array.isArray(curves) || curves.length === 0) return '';
+
+  // A single curve is a list of points rather than a list of curves
+  const first = curves[0];
+  const single = !Array.isArray(first) || typeof first[0] === 'number';
+  const list = (single ? [curves] : curves).map((curve) => toCurve(curve, 'bezierToPath'));
+
+  let path = '';
+  let last = null;
+
+  list.forEach((pts) => {
+    const start = pts[0];
+
+    if (!last || last.x !== start.x || last.y !== start.y) {
+      path += `M${start.x},${start.y}`;
+    }
+
+    path += (pts.length === 3 ? 'Q' : 'C') + pts.slice(1).map((p) => `${p.x},${p.y}`).join(' ');
+    last = pts[pts.length - 1];
+  });
+
+  return path;
+}
@@ -0,0 +1,134 @@
+import SimplexNoise from "simplex-noise";
+import { prng } from "./prng.js";
+
+/**
+ * @typedef {Object} Noise
+ * @property {function(number, number): number} noise2D - 2D simplex noise (-1 to 1)
+ * @property {function(number, number, number): number} noise3D - 3D simplex noise (-1 to 1)
+ * @property {function(number, number, number, number): number} noise4D - 4D simplex noise (-1 to 1)
+ * @property {function(number, number, number=, number=): number} fbm - Fractal Brownian motion (-1 to 1)
+ * @property {function(number, number, number=, number=): number} ridged - Ridged noise (0 to 1)
+ * @property {function(number, number, number=, number=): number} billow - Billow noise (0 to 1)
+ * @property {function(number, number, number=): {x: number, y: number}} warp - Domain-warped coordinates
+ */
+
+const defaultOpts = {
+  seed: undefined,
+  frequency: 1,
+  octaves: 4,
+  lacunarity: 2,
+  gain: 0.5,
+  warpStrength: 1,
+};
+
+// Noise-space offset that decorrelates the two fBm lookups used for domain warping
+const WARP_OFFSET = [5.2, 1.3, 7.1];
+
+/**
+ * Create a seeded simplex noise generator with fractal and domain-warping helpers.
+ *
+ * The fractal methods (`fbm`, `ridged`, `billow`) take 2 to 4 coordinates and
+ * use the matching simplex dimension, so `fbm(x, y, time)` animates a 2D field.
+ *
+ * @param {Object} [opts] - Configuration options
+ * @param {string|number|function(): number} [opts.seed] - Seed, or a function returning floats in [0, 1). Defaults to the shared PRNG
+ * @param {number} [opts.frequency=1] - Input scale applied by the fractal methods (lower = smoother)
+ * @param {number} [opts.octaves=4] - Number of noise layers summed by the fractal methods
+ * @param {number} [opts.lacunarity=2] - Frequency multiplier between octaves
+ * @param {number} [opts.gain=0.5] - Amplitude multiplier between octaves
+ * @param {number} [opts.warpStrength=1] - How far `warp` displaces coordinates, in input units
+ * @returns {Noise} Noise functions bound to one permutation table
+ * @example
+ * seedPRNG('terrain')
+ * const noise = createNoise({ frequency: 0.005, octaves: 5 })
+ *
+ * const height = noise.fbm(x, y)       // Smooth, detailed terrain
+ * const ridges = noise.ridged(x, y)    // Mountain ridges
+ * const p = noise.warp(x, y)           // Swirled coordinates
+ * const marble = noise.fbm(p.x, p.y)
+ */
+function createNoise(opts) {
+  opts = Object.assign({}, defaultOpts, opts);
+
+  let source = opts.seed;
+
+  if (source === undefined) {
+    source = () => prng();
+  } else if (typeof source !== "function") {
+    // Stringify so falsy seeds like 0 aren't treated as "no seed"
+    source = String(source);
+  }
+
+  const simplex = new SimplexNoise(source);
+
+  const { frequency, octaves, lacunarity, gain, warpStrength } = opts;
+
+  const sample = (x, y, z, w) => {
+    if (w !== undefined) return simplex.noise4D(x, y, z, w);
+    if (z !== undefined) return simplex.noise3D(x, y, z);
+    return simplex.noise2D(x, y);
+  };
+
+  // Sum octaves of `shape(noise)`, normalized by the total amplitude
+  const fractal = (shape, x, y, z, w) => {
+    let freq = frequency;
+    let amp = 1;
+    let sum = 0;
+    let norm = 0;
+
+    for (let i = 0; i < octaves; i++) {
+      const n = sample(
+        x * freq,
+        y * freq,
+        z === undefined ? z : z * freq,
+        w === undefined ? w : w * freq
+      );
+
+      sum += shape(n) * amp;
+      norm += amp;
+      freq *= lacunarity;
+      amp *= gain;
+    }
+
+    return norm === 0 ? 0 : sum / norm;
+  };
+
+  const fbm = (x, y, z, w) => fractal((n) => n, x, y, z, w);
+
+  const ridged = (x, y, z, w) =>
+    fractal(
+      (n) => {
+        const r = 1 - Math.abs(n);
+        return r * r;
+      },
+      x,
+      y,
+      z,
+      w
+    );
+
+  const billow = (x, y, z, w) => fractal((n) => Math.abs(n), x, y, z, w);
+
+  const warp = (x, y, z) => {
+    const ox = WARP_OFFSET[0] / frequency;
+    const oy = WARP_OFFSET[1] / frequency;
+    const oz = WARP_OFFSET[2] / frequency;
+
+    return {
+      x: x + warpStrength * fbm(x, y, z),
+      y: y + warpStrength * fbm(x + ox, y + oy, z === undefined ? z : z + oz),
+    };
+  };
+
+  return {
+    noise2D: (x, y) => simplex.noise2D(x, y),
+    noise3D: (x, y, z) => simplex.noise3D(x, y, z),
+    noise4D: (x, y, z, w) => simplex.noise4D(x, y, z, w),
+    fbm,
+    ridged,
+    billow,
+    warp,
+  };
+}
+
+export { createNoise };
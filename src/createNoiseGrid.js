@@ -1,4 +1,4 @@
-import SimplexNoise from "simplex-noise";
+import { createNoise } from "./createNoise.js";
 
 /**
  * @typedef {Object} NoiseCell
@@ -6,34 +6,100 @@ import SimplexNoise from "simplex-noise";
  * @property {number} y - Cell y position
  * @property {number} width - Cell width
  * @property {number} height - Cell height
+ * @property {number} col - Column index
+ * @property {number} row - Row index
  * @property {number} noiseValue - Simplex noise value (-1 to 1)
  */
 
 /**
  * @typedef {Object} NoiseGridResult
- * @property {NoiseCell[]} cells - Array of noise cells
+ * @property {NoiseCell[]} cells - Array of noise cells (row by row)
+ * @property {number} cols - Number of columns
+ * @property {number} rows - Number of rows
  * @property {function({x: number, y: number}): NoiseCell} lookup - Get cell at a position
+ * @property {function(number, number): number} sample - Interpolated noise value at a position
+ * @property {function(number): void} update - Recompute every cell at a new z (time) value
  */
 
 const defaultOpts = {
   width: 200,
   height: 200,
   resolution: 8,
+  cols: undefined,
+  rows: undefined,
+  cellSize: undefined,
   xInc: 0.01,
   yInc: 0.01,
-  seed: Math.random() * 1000,
+  z: undefined,
+  centered: false,
+  interpolation: "bilinear",
+  seed: undefined,
 };
 
 function clamp(number, min, max) {
   return Math.max(min, Math.min(number, max));
 }
 
-function lookup(cells, width, height, cols, resolution) {
+function lookup(cells, width, height, cols, rows, colSize, rowSize) {
   return function (pos) {
-    const x = Math.floor(clamp(pos.x, 0, width - 1) / resolution);
-    const y = Math.floor(clamp(pos.y, 0, height - 1) / resolution);
+    const col = Math.floor(clamp(pos.x, 0, width) / colSize);
+    const row = Math.floor(clamp(pos.y, 0, height) / rowSize);
 
-    return cells[x + y * cols];
+    return cells[Math.min(col, cols - 1) + Math.min(row, rows - 1) * cols];
+  };
+}
+
+// Catmull-Rom cubic through p1 and p2
+function cubic(p0, p1, p2, p3, t) {
+  return (
+    p1 +
+    0.5 *
+      t *
+      (p2 - p0 + t * (2 * p0 - 5 * p1 + 4 * p2 - p3 + t * (3 * (p1 - p2) + p3 - p0)))
+  );
+}
+
+function sample(cells, cols, rows, colSize, rowSize, interpolation) {
+  const value = (col, row) =>
+    cells[clamp(col, 0, cols - 1) + clamp(row, 0, rows - 1) * cols].noiseValue;
+
+  return function (x, y) {
+    // Cell values live at cell centers
+    const gx = x / colSize - 0.5;
+    const gy = y / rowSize - 0.5;
+
+    if (interpolation === "nearest") {
+      return value(Math.round(gx), Math.round(gy));
+    }
+
+    const col = Math.floor(gx);
+    const row = Math.floor(gy);
+    const tx = clamp(gx - col, 0, 1);
+    const ty = clamp(gy - row, 0, 1);
+
+    if (interpolation === "bicubic") {
+      const rowValues = [];
+
+      for (let j = -1; j <= 2; j++) {
+        rowValues.push(
+          cubic(
+            value(col - 1, row + j),
+            value(col, row + j),
+            value(col + 1, row + j),
+            value(col + 2, row + j),
+            tx
+          )
+        );
+      }
+
+      return cubic(rowValues[0], rowValues[1], rowValues[2], rowValues[3], ty);
+    }
+
+    const top = value(col, row) + (value(col + 1, row) - value(col, row)) * tx;
+    const bottom =
+      value(col, row + 1) + (value(col + 1, row + 1) - value(col, row + 1)) * tx;
+
+    return top + (bottom - top) * ty;
   };
 }
 
@@ -43,60 +109,93 @@ function lookup(cells, width, height, cols, resolution) {
  * @param {Object} [opts] - Configuration options
  * @param {number} [opts.width=200] - Grid width in pixels
  * @param {number} [opts.height=200] - Grid height in pixels
- * @param {number} [opts.resolution=8] - Number of cells in each dimension
- * @param {number} [opts.xInc=0.01] - Noise x increment (lower = smoother)
- * @param {number} [opts.yInc=0.01] - Noise y increment (lower = smoother)
- * @param {number} [opts.seed] - Random seed for reproducible noise
- * @returns {NoiseGridResult} Grid with cells and lookup function
+ * @param {number} [opts.resolution=8] - Number of cells in each dimension (when cols/rows are not set)
+ * @param {number} [opts.cols] - Number of columns (overrides resolution)
+ * @param {number} [opts.rows] - Number of rows (overrides resolution)
+ * @param {number} [opts.cellSize] - Approximate cell size in pixels (overrides cols, rows and resolution)
+ * @param {number} [opts.xInc=0.01] - Noise x increment per cell (lower = smoother)
+ * @param {number} [opts.yInc=0.01] - Noise y increment per cell (lower = smoother)
+ * @param {number} [opts.z] - Third noise coordinate, e.g. time. When set, 3D noise is used
+ * @param {boolean} [opts.centered=false] - Sample noise at cell centers instead of top-left corners
+ * @param {string} [opts.interpolation='bilinear'] - How `sample` blends cells: 'nearest', 'bilinear' or 'bicubic'
+ * @param {string|number|function(): number} [opts.seed] - Seed for reproducible noise. Defaults to the shared PRNG, so `seedPRNG` controls it
+ * @returns {NoiseGridResult} Grid with cells, lookup, sample and update functions
  * @example
- * const grid = createNoiseGrid({ width: 400, height: 400, resolution: 20 })
- * // Get noise at any position
+ * const grid = createNoiseGrid({ width: 600, height: 400, cellSize: 20 })
+ * // Get the cell at any position
  * const cell = grid.lookup({ x: 150, y: 200 })
  * const angle = cell.noiseValue * Math.PI * 2 // Use for flow field
+ * // Or a smoothly interpolated value
+ * const smooth = grid.sample(153.5, 201.2)
  */
 function createNoiseGrid(opts) {
   opts = Object.assign({}, defaultOpts, opts);
 
-  const simplex = new SimplexNoise(opts.seed);
+  const noise = createNoise({ seed: opts.seed });
+
+  let numCols = opts.cols !== undefined ? opts.cols : opts.resolution;
+  let numRows = opts.rows !== undefined ? opts.rows : opts.resolution;
+
+  if (opts.cellSize !== undefined) {
+    numCols = Math.max(1, Math.round(opts.width / opts.cellSize));
+    numRows = Math.max(1, Math.round(opts.height / opts.cellSize));
+  }
 
-  const numCols = opts.resolution;
-  const numRows = opts.resolution;
   const colSize = opts.width / numCols;
   const rowSize = opts.height / numRows;
+  const offset = opts.centered ? 0.5 : 0;
 
   const cells = new Array(numCols * numRows);
 
-  let yOff = 0;
+  const noiseAt = (col, row, z) => {
+    const xOff = (col + offset) * opts.xInc;
+    const yOff = (row + offset) * opts.yInc;
 
-  for (let y = 0; y < opts.height; y += rowSize) {
-    let xOff = 0;
+    return z === undefined
+      ? noise.noise2D(xOff, yOff)
+      : noise.noise3D(xOff, yOff, z);
+  };
 
-    for (let x = 0; x < opts.width; x += colSize) {
-      const col = Math.floor(x / colSize);
-      const row = Math.floor(y / rowSize);
+  for (let row = 0; row < numRows; row++) {
+    for (let col = 0; col < numCols; col++) {
       cells[col + row * numCols] = {
-        x,
-        y,
+        x: col * colSize,
+        y: row * rowSize,
         width: colSize,
         height: rowSize,
-        noiseValue: simplex.noise2D(xOff, yOff),
+        col,
+        row,
+        noiseValue: noiseAt(col, row, opts.z),
       };
-
-      xOff += opts.xInc;
     }
-
-    yOff += opts.yInc;
   }
 
   return {
     cells,
+    cols: numCols,
+    rows: numRows,
     lookup: lookup(
       cells,
       opts.width,
       opts.height,
       numCols,
-      Math.max(colSize, rowSize)
+      numRows,
+      colSize,
+      rowSize
+    ),
+    sample: sample(
+      cells,
+      numCols,
+      numRows,
+      colSize,
+      rowSize,
+      opts.interpolation
     ),
+    update(z) {
+      cells.forEach((cell) => {
+        cell.noiseValue = noiseAt(cell.col, cell.row, z);
+      });
+    },
   };
 }
 
@@ -1,4 +1,4 @@
-import Quadtree from "@timohausmann/quadtree-js";
+import { prng } from "./prng.js";
 
 /**
  * @typedef {Object} QtGridArea
@@ -8,6 +8,9 @@ import Quadtree from "@timohausmann/quadtree-js";
  * @property {number} height - Height (with gap applied)
  * @property {{start: number, end: number}} col - Column range in grid units
  * @property {{start: number, end: number}} row - Row range in grid units
+ * @property {number} depth - Subdivision level, 0 for the whole grid
+ * @property {{x: number, y: number, width: number, height: number}} bounds - Position and size without the gap
+ * @property {QtGridArea[]} neighbors - Areas sharing part of an edge with this one
  */
 
 /**
@@ -19,6 +22,16 @@ import Quadtree from "@timohausmann/quadtree-js";
  * @property {QtGridArea[]} areas - Array of subdivided areas
  */
 
+/**
+ * @typedef {Object} QtGridSplitArea
+ * @property {number} x - X position
+ * @property {number} y - Y position
+ * @property {number} width - Width
+ * @property {number} height - Height
+ * @property {Array<{x: number, y: number, weight?: number}>} points - Points inside the area
+ * @property {number} weight - Total weight of the points inside the area
+ */
+
 const defaultQtOpts = {
   width: 1024,
   height: 1024,
@@ -26,6 +39,9 @@ const defaultQtOpts = {
   gap: 0,
   maxQtObjects: 10,
   maxQtLevels: 4,
+  shouldSplit: null,
+  minSize: 0,
+  randomSplit: 0,
 };
 
 function getGridArea(bounds, colSize, rowSize) {
@@ -41,31 +57,184 @@ function getGridArea(bounds, colSize, rowSize) {
   };
 }
 
-function getIndividualQtNodes(node) {
-  const individualNodes = [];
+const pointWeight = (point) => (point.weight === undefined ? 1 : point.weight);
+
+// Where to split a span: the midpoint, moved at random by up to `randomSplit`
+// of half the span, and kept far enough from both ends to respect minSize
+function getSplit(rng, start, size, opts) {
+  let split = start + size / 2;
+
+  if (opts.randomSplit > 0) {
+    split += (rng() * 2 - 1) * opts.randomSplit * (size / 2);
+  }
+
+  return Math.min(Math.max(split, start + opts.minSize), start + size - opts.minSize);
+}
+
+// Recursively split an area into quadrants, collecting the leaves in quadtree
+// order (top right, top left, bottom left, bottom right). Edges are passed down
+// as coordinates rather than sizes, so areas on either side of a split line
+// share its exact value
+function subdivide(rng, edges, points, depth, opts, leaves) {
+  const { left, top, right, bottom } = edges;
+  const bounds = { x: left, y: top, width: right - left, height: bottom - top };
+  const weight = points.reduce((sum, point) => sum + pointWeight(point), 0);
+  const area = { ...bounds, points, weight };
+
+  const canSplit =
+    depth < opts.maxQtLevels &&
+    bounds.width >= opts.minSize * 2 &&
+    bounds.height >= opts.minSize * 2;
+
+  const split =
+    canSplit &&
+    (opts.shouldSplit ? opts.shouldSplit(area, depth) : weight > opts.maxQtObjects);
+
+  if (!split) {
+    leaves.push({ bounds, edges, depth });
+    return;
+  }
+
+  const splitX = getSplit(rng, left, bounds.width, opts);
+  const splitY = getSplit(rng, top, bounds.height, opts);
+
+  const quadrants = [
+    { left: splitX, top, right, bottom: splitY },
+    { left, top, right: splitX, bottom: splitY },
+    { left, top: splitY, right: splitX, bottom },
+    { left: splitX, top: splitY, right, bottom },
+  ];
+
+  const inQuadrant = [[], [], [], []];
+
+  points.forEach((point) => {
+    const east = point.x >= splitX;
+    const south = point.y >= splitY;
+    inQuadrant[south ? (east ? 3 : 2) : east ? 0 : 1].push(point);
+  });
+
+  quadrants.forEach((quadrant, i) =>
+    subdivide(rng, quadrant, inQuadrant[i], depth + 1, opts, leaves)
+  );
+}
+
+// Link leaves that share part of an edge across lines running along one axis:
+// `before` and `after` name the edges that meet on a line (right and left for
+// vertical lines), `start` and `end` the extent along it. Leaves are grouped by
+// line, then each line is swept once, so corners alone never count
+function linkAcross(leaves, neighbors, before, after, start, end, epsilon) {
+  const lines = new Map();
 
-  (function r(node) {
-    if (node.nodes.length === 0) {
-      individualNodes.push(node);
-    } else {
-      node.nodes.forEach((n) => r(n));
+  const sidesOf = (coordinate) => {
+    if (!lines.has(coordinate)) lines.set(coordinate, [[], []]);
+    return lines.get(coordinate);
+  };
+
+  leaves.forEach(({ edges }, i) => {
+    sidesOf(edges[before])[0].push(i);
+    sidesOf(edges[after])[1].push(i);
+  });
+
+  const byStart = (a, b) => leaves[a].edges[start] - leaves[b].edges[start];
+
+  lines.forEach(([ending, beginning]) => {
+    ending.sort(byStart);
+    beginning.sort(byStart);
+
+    // Leaves on each side don't overlap, so step past whichever ends first
+    let i = 0;
+    let j = 0;
+
+    while (i < ending.length && j < beginning.length) {
+      const a = leaves[ending[i]].edges;
+      const b = leaves[beginning[j]].edges;
+
+      if (Math.min(a[end], b[end]) - Math.max(a[start], b[start]) > epsilon) {
+        neighbors[ending[i]].push(beginning[j]);
+        neighbors[beginning[j]].push(ending[i]);
+      }
+
+      if (a[end] < b[end]) i++;
+      else j++;
     }
-  })(node);
+  });
+}
+
+/**
+ * Implementation of `createQtGrid` that draws from the given generator.
+ * Used by `createQtGrid` (shared PRNG) and by `createRandom` instances.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Object} [opts] - Configuration options (see `createQtGrid`)
+ * @returns {QtGridResult} Grid with subdivided areas
+ */
+function createQtGridWith(rng, opts) {
+  opts = Object.assign({}, defaultQtOpts, opts);
+
+  const root = { left: 0, top: 0, right: opts.width, bottom: opts.height };
+  const points = opts.points.filter(
+    (point) => point.x >= 0 && point.x <= opts.width && point.y >= 0 && point.y <= opts.height
+  );
 
-  return individualNodes;
+  const leaves = [];
+  subdivide(rng, root, points, 0, opts, leaves);
+
+  const maxSubdivisions = Math.pow(2, opts.maxQtLevels);
+  const colSize = opts.width / maxSubdivisions;
+  const rowSize = opts.height / maxSubdivisions;
+
+  const areas = leaves.map(({ bounds, depth }) => {
+    return {
+      x: bounds.x + opts.gap,
+      y: bounds.y + opts.gap,
+      width: bounds.width - opts.gap * 2,
+      height: bounds.height - opts.gap * 2,
+      ...getGridArea(bounds, colSize, rowSize),
+      depth,
+      bounds,
+      neighbors: [],
+    };
+  });
+
+  const epsilon = Math.max(opts.width, opts.height) * 1e-9;
+  const neighbors = leaves.map(() => []);
+
+  linkAcross(leaves, neighbors, "right", "left", "top", "bottom", epsilon);
+  linkAcross(leaves, neighbors, "bottom", "top", "left", "right", epsilon);
+
+  // List neighbors in the order of `areas`
+  areas.forEach((area, i) => {
+    area.neighbors = neighbors[i].sort((a, b) => a - b).map((j) => areas[j]);
+  });
+
+  return {
+    width: opts.width,
+    height: opts.height,
+    cols: maxSubdivisions,
+    rows: maxSubdivisions,
+    areas,
+  };
 }
 
 /**
  * Create an adaptive grid using quadtree subdivision based on point density.
  * Areas with more points subdivide further, creating varied cell sizes.
  *
+ * Points may carry a `weight` (default 1) that counts toward `maxQtObjects`.
+ * For other rules, such as noise variance or image contrast, pass a
+ * `shouldSplit` function. Each area lists the areas it shares an edge with,
+ * so you can walk from tile to tile.
+ *
  * @param {Object} [opts] - Configuration options
  * @param {number} [opts.width=1024] - Grid width
  * @param {number} [opts.height=1024] - Grid height
- * @param {Array<{x: number, y: number}>} [opts.points=[]] - Points that drive subdivision
+ * @param {Array<{x: number, y: number, weight?: number}>} [opts.points=[]] - Points that drive subdivision
  * @param {number} [opts.gap=0] - Gap between cells
- * @param {number} [opts.maxQtObjects=10] - Max points per cell before subdividing
+ * @param {number} [opts.maxQtObjects=10] - Max total point weight per cell before subdividing
  * @param {number} [opts.maxQtLevels=4] - Maximum subdivision depth
+ * @param {function(QtGridSplitArea, number): boolean} [opts.shouldSplit] - Decide whether to split an area, given the area and its depth (replaces the maxQtObjects rule)
+ * @param {number} [opts.minSize=0] - Never make cells narrower or shorter than this
+ * @param {number} [opts.randomSplit=0] - How far split lines may move at random from the middle of an area (0-1)
  * @returns {QtGridResult} Grid with subdivided areas
  * @example
  * const grid = createQtGrid({
@@ -75,44 +244,20 @@ function getIndividualQtNodes(node) {
  *   maxQtLevels: 3
  * })
  * grid.areas.forEach(area => drawRect(area.x, area.y, area.width, area.height))
+ *
+ * // Split where noise changes quickly, at uneven positions
+ * const noise = createNoise({ frequency: 0.005 })
+ * createQtGrid({
+ *   width: 800,
+ *   height: 600,
+ *   maxQtLevels: 6,
+ *   randomSplit: 0.5,
+ *   shouldSplit: ({ x, y, width, height }) =>
+ *     Math.abs(noise.fbm(x, y) - noise.fbm(x + width, y + height)) > 0.1
+ * })
  */
 function createQtGrid(opts) {
-  opts = Object.assign({}, defaultQtOpts, opts);
-
-  const quadTree = new Quadtree(
-    {
-      x: 0,
-      y: 0,
-      width: opts.width,
-      height: opts.height,
-    },
-    opts.maxQtObjects,
-    opts.maxQtLevels
-  );
-
-  opts.points.forEach((point) => {
-    quadTree.insert(point);
-  });
-
-  const maxSubdivisions = Math.pow(2, opts.maxQtLevels);
-  const colSize = opts.width / maxSubdivisions;
-  const rowSize = opts.height / maxSubdivisions;
-
-  return {
-    width: opts.width,
-    height: opts.height,
-    cols: maxSubdivisions,
-    rows: maxSubdivisions,
-    areas: getIndividualQtNodes(quadTree).map(({ bounds }) => {
-      return {
-        x: bounds.x + opts.gap,
-        y: bounds.y + opts.gap,
-        width: bounds.width - opts.gap * 2,
-        height: bounds.height - opts.gap * 2,
-        ...getGridArea(bounds, colSize, rowSize),
-      };
-    }),
-  };
+  return createQtGridWith(prng, opts);
 }
 
-export { createQtGrid };
+export { createQtGrid, createQtGridWith };
@@ -0,0 +1,156 @@
+import seedrandom from "seedrandom";
+import { prngSeed, autoSeed, forkSeed } from "./prng.js";
+import { randomWith } from "./random.js";
+import { randomBiasWith } from "./randomBias.js";
+import { randomSnapWith } from "./randomSnap.js";
+import { poissonDiscWith, poissonDiscIteratorWith } from "./poissonDisc.js";
+import { hatchPolygonWith } from "./hatchPolygon.js";
+import { createStippleWith } from "./createStipple.js";
+import { createQtGridWith } from "./createQtGrid.js";
+import { packCirclesWith } from "./packCircles.js";
+import {
+  randomGaussianWith,
+  randomLogNormalWith,
+  randomExponentialWith,
+  randomPoissonWith,
+  randomGeometricWith,
+  randomTriangularWith,
+  randomBetaWith,
+  randomParetoWith,
+  randomChanceWith,
+  randomSignWith,
+} from "./randomDistributions.js";
+import {
+  shuffleWith,
+  shuffleInPlaceWith,
+  sampleWith,
+  weightedPickWith,
+  createWeightedSamplerWith,
+} from "./randomArray.js";
+import { hashRandomWith, hashRandomIntWith } from "./hashRandom.js";
+
+/**
+ * @typedef {Object} RandomInstance
+ * @property {function(): number} prng - Draw a raw float in [0, 1) from this instance's stream
+ * @property {function((string|number)): void} seed - Reseed this instance's stream
+ * @property {function(): PRNGState} getState - Capture this instance's stream state
+ * @property {function(PRNGState): void} setState - Restore a state captured with getState
+ * @property {function((string|number)): RandomInstance} fork - Create a labelled child stream (see `forkPRNG`)
+ * @property {function((number|Array), number=, boolean=): (number|*)} random - See `random`
+ * @property {function(number, number, number, number=): number} randomBias - See `randomBias`
+ * @property {function(number, number, number): number} randomSnap - See `randomSnap`
+ * @property {function(Object): Array<{x: number, y: number}>} poissonDisc - See `poissonDisc`
+ * @property {function(Object): import("./poissonDisc.js").PoissonDiscIterator} poissonDiscIterator - See `poissonDiscIterator`
+ * @property {function(Array, Object=): Array<Array<{x: number, y: number}>>} hatchPolygon - See `hatchPolygon`
+ * @property {function(Object=): Array<import("./createStipple.js").StipplePoint>} createStipple - See `createStipple`
+ * @property {function(Object=): import("./createQtGrid.js").QtGridResult} createQtGrid - See `createQtGrid`
+ * @property {function(Object=): Array<import("./packCircles.js").PackedCircle>} packCircles - See `packCircles`
+ * @property {function(number=, number=): number} randomGaussian - See `randomGaussian`
+ * @property {function(number=, number=): number} randomNormal - Alias of `randomGaussian`
+ * @property {function(number=, number=): number} randomLogNormal - See `randomLogNormal`
+ * @property {function(number=): number} randomExponential - See `randomExponential`
+ * @property {function(number=): number} randomPoisson - See `randomPoisson`
+ * @property {function(number=): number} randomGeometric - See `randomGeometric`
+ * @property {function(number=, number=, number=): number} randomTriangular - See `randomTriangular`
+ * @property {function(number=, number=): number} randomBeta - See `randomBeta`
+ * @property {function(number=, number=): number} randomPareto - See `randomPareto`
+ * @property {function(number=): boolean} randomChance - See `randomChance`
+ * @property {function(): number} randomSign - See `randomSign`
+ * @property {function(Array): Array} shuffle - See `shuffle`
+ * @property {function(Array): Array} shuffleInPlace - See `shuffleInPlace`
+ * @property {function(Array, number): Array} sample - See `sample`
+ * @property {function(Array, number[]): *} weightedPick - See `weightedPick`
+ * @property {function(Array, number[]): function(): *} createWeightedSampler - See `createWeightedSampler`
+ * @property {function(number, number, number=): number} hashRandom - See `hashRandom`, without the trailing seed argument (seeded by this instance's seed)
+ * @property {function(number, number, number=): number} hashRandomInt - See `hashRandomInt`, without the trailing seed argument (seeded by this instance's seed)
+ */
+
+/**
+ * Create an independent random generator with its own seeded stream.
+ * The returned functions behave like the top-level ones (`random`,
+ * `randomBias`, ...) but never touch the shared PRNG, so separate
+ * instances stay reproducible whatever order they are called in.
+ *
+ * @param {string|number} [seed] - The seed value (omit for an unseeded stream)
+ * @returns {RandomInstance} Random functions bound to a private stream
+ * @example
+ * const background = createRandom('background')
+ * const foreground = createRandom('foreground')
+ *
+ * background.random(0, 100) // Unaffected by calls to foreground
+ * foreground.poissonDisc({ width: 400, height: 400, radius: 20 })
+ */
+function createRandom(seed) {
+  let currentSeed = seed === undefined ? autoSeed() : seed;
+  let rng = seedrandom(currentSeed, { state: true });
+
+  const draw = () => rng();
+
+  return {
+    prng: draw,
+    seed(value) {
+      currentSeed = value === undefined ? autoSeed() : value;
+      rng = seedrandom(currentSeed, { state: true });
+    },
+    getState() {
+      return { seed: currentSeed, state: rng.state() };
+    },
+    setState(snapshot) {
+      currentSeed = snapshot.seed;
+      rng = seedrandom("", { state: snapshot.state });
+    },
+    fork: (label) => createRandom(forkSeed(currentSeed, label)),
+    random: (minOrArray, max, toInteger) =>
+      randomWith(draw, minOrArray, max, toInteger),
+    randomBias: (min, max, bias, influence) =>
+      randomBiasWith(draw, min, max, bias, influence),
+    randomSnap: (min, max, snapInc) => randomSnapWith(draw, min, max, snapInc),
+    poissonDisc: (options) => poissonDiscWith(draw, options),
+    poissonDiscIterator: (options) => poissonDiscIteratorWith(draw, options),
+    hatchPolygon: (points, options) => hatchPolygonWith(draw, points, options),
+    createStipple: (options) => createStippleWith(draw, options),
+    createQtGrid: (options) => createQtGridWith(draw, options),
+    packCircles: (options) => packCirclesWith(draw, options),
+    randomGaussian: (mean, sd) => randomGaussianWith(draw, mean, sd),
+    randomNormal: (mean, sd) => randomGaussianWith(draw, mean, sd),
+    randomLogNormal: (mu, sigma) => randomLogNormalWith(draw, mu, sigma),
+    randomExponential: (lambda) => randomExponentialWith(draw, lambda),
+    randomPoisson: (lambda) => randomPoissonWith(draw, lambda),
+    randomGeometric: (p) => randomGeometricWith(draw, p),
+    randomTriangular: (min, max, mode) =>
+      randomTriangularWith(draw, min, max, mode),
+    randomBeta: (alpha, beta) => randomBetaWith(draw, alpha, beta),
+    randomPareto: (alpha, scale) => randomParetoWith(draw, alpha, scale),
+    randomChance: (p) => randomChanceWith(draw, p),
+    randomSign: () => randomSignWith(draw),
+    shuffle: (array) => shuffleWith(draw, array),
+    shuffleInPlace: (array) => shuffleInPlaceWith(draw, array),
+    sample: (array, n) => sampleWith(draw, array, n),
+    weightedPick: (items, weights) => weightedPickWith(draw, items, weights),
+    createWeightedSampler: (items, weights) =>
+      createWeightedSamplerWith(draw, items, weights),
+    hashRandom: (x, y, z) => hashRandomWith(currentSeed, x, y, z),
+    hashRandomInt: (x, y, z) => hashRandomIntWith(currentSeed, x, y, z),
+  };
+}
+
+/**
+ * Create a deterministic child stream of the shared PRNG, keyed by a label.
+ * The child depends only on the seed passed to `seedPRNG` and the label, not
+ * on how many values have been drawn, so each part of a sketch can be
+ * tweaked without shifting the values used by the others.
+ *
+ * @param {string|number} label - Name of the child stream
+ * @returns {RandomInstance} Random functions bound to the child stream
+ * @example
+ * seedPRNG('my-artwork')
+ * const palette = forkPRNG('palette')
+ * const texture = forkPRNG('texture')
+ *
+ * palette.random(colors) // Same color whatever texture does
+ */
+function forkPRNG(label) {
+  return createRandom(forkSeed(prngSeed, label));
+}
+
+export { createRandom, forkPRNG };
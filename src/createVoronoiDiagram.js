@@ -1,19 +1,54 @@
 import { Delaunay } from "d3-delaunay";
-import { polygonCentroid } from "d3";
-import { distToSegment } from "./distToSegment";
+import {
+  polygonCentroid,
+  polygonArea,
+  polygonPerimeter,
+  polygonBounds,
+  poleOfInaccessibility,
+} from "./polygonMeasure.js";
+import { polygonUnion, polygonIntersection } from "./polygonBoolean.js";
 
 /**
  * @typedef {Object} VoronoiCell
  * @property {Array<[number, number]>} points - Polygon vertices as [x, y] pairs
  * @property {number} innerCircleRadius - Radius of largest circle that fits inside the cell
+ * @property {{x: number, y: number}} innerCircleCenter - Center of that circle (the cell's pole of inaccessibility)
  * @property {{x: number, y: number}} centroid - Center of the cell
+ * @property {number} area - Area of the cell
+ * @property {number} perimeter - Length of the cell's outline
+ * @property {{minX: number, minY: number, maxX: number, maxY: number, width: number, height: number}} bounds - Bounding box of the cell
+ * @property {number} aspectRatio - Width of the bounding box divided by its height
+ * @property {VoronoiCellEdge[]} edges - The cell's edges in outline order, each with the neighbor across it
  * @property {VoronoiCell[]} neighbors - Adjacent cells
+ * @property {number} index - Index of the cell's seed in the input points
+ * @property {{x: number, y: number}} originalPoint - The input point the cell grew from, before relaxation
+ * @property {Array<Array<Array<{x: number, y: number}>>>} [polygons] - With `clip`, every part of the clipped cell, each `[outer, ...holes]`
+ */
+
+/**
+ * @typedef {Object} VoronoiCellEdge
+ * @property {Array<[number, number]>} points - Start and end of the edge as [x, y] pairs
+ * @property {VoronoiCell|null} neighbor - The cell across the edge, or null on the diagram's border
+ */
+
+/**
+ * @typedef {Object} VoronoiEdge
+ * @property {Array<[number, number]>} points - Start and end of the edge as [x, y] pairs
+ * @property {VoronoiCell[]} cells - The two cells on either side of the edge
  */
 
 /**
  * @typedef {Object} VoronoiResult
  * @property {VoronoiCell[]} cells - Array of Voronoi cells
+ * @property {Array<VoronoiCell|null>} cellsByIndex - Cell for each input point, or null for points without a cell (duplicates, or outside the area)
  * @property {Array<{x: number, y: number}>} points - Relaxed seed points
+ * @property {Array<Array<[number, number]>>} triangles - Delaunay triangles of the relaxed points, each as three [x, y] pairs
+ * @property {VoronoiEdge[]} edges - Edges shared by two cells, each listed once
+ * @property {Array<{x: number, y: number}>} hull - Convex hull of the relaxed points, in order
+ * @property {import("d3-delaunay").Delaunay} delaunay - The underlying d3-delaunay triangulation
+ * @property {import("d3-delaunay").Voronoi} voronoi - The underlying d3-delaunay Voronoi diagram
+ * @property {function(Array<{x: number, y: number}>): VoronoiResult} update - Move the seeds to new points and rebuild in place, without relaxation
+ * @property {function(number=): VoronoiResult} relax - Run more relaxation iterations (default 1) and rebuild in place
  */
 
 const defaultOpts = {
@@ -22,17 +57,31 @@ const defaultOpts = {
   points: [],
   relaxIterations: 8,
   relaxationFactor: 0.5,
+  clip: null,
 };
 
 /**
  * Create a Voronoi tessellation with Lloyd's relaxation for more uniform cells.
  *
+ * Cells fill the `width` x `height` rectangle, or with `clip` they are
+ * clipped to any shape, such as a circle or a letterform. Along with the
+ * cells, the result includes the Delaunay triangles, the edges shared by
+ * neighboring cells and the convex hull of the seed points.
+ *
+ * The result is live: `update(points)` and `relax(n)` rebuild it in place,
+ * reusing the triangulation, for animation. Cell objects are kept per seed
+ * index across updates, so properties you add to a cell stay attached.
+ * Each cell's inner circle, measurements and edges, and the diagram's
+ * `edges`, are worked out when first read, so frames that only draw the
+ * cell outlines don't pay for them.
+ *
  * @param {Object} [opts] - Configuration options
  * @param {number} [opts.width=1024] - Diagram width
  * @param {number} [opts.height=1024] - Diagram height
  * @param {Array<{x: number, y: number}>} [opts.points=[]] - Seed points for cells
  * @param {number} [opts.relaxIterations=8] - Number of Lloyd relaxation iterations
  * @param {number} [opts.relaxationFactor=0.5] - How far to move toward centroid each iteration (0-1)
+ * @param {Array} [opts.clip] - Shape to clip cells to, in any form accepted by `polygonIntersection` (replaces the width x height rectangle)
  * @returns {VoronoiResult} Voronoi diagram with cells and relaxed points
  * @example
  * const { cells, points } = createVoronoiDiagram({
@@ -43,127 +92,323 @@ const defaultOpts = {
  * })
  * cells.forEach(cell => {
  *   drawPolygon(cell.points)
- *   drawCircle(cell.centroid.x, cell.centroid.y, cell.innerCircleRadius)
+ *   drawCircle(cell.innerCircleCenter.x, cell.innerCircleCenter.y, cell.innerCircleRadius)
+ * })
+ *
+ * // Cells inside a circle, drawn as edges only
+ * const { edges } = createVoronoiDiagram({
+ *   points,
+ *   clip: polygon({ sides: 90, radius: 200, cx: 200, cy: 200 })
  * })
+ * edges.forEach(edge => drawLine(edge.points[0], edge.points[1]))
+ *
+ * // Drifting seeds, with a color that stays with each cell
+ * const diagram = createVoronoiDiagram({ width: 800, height: 600, points, relaxIterations: 0 })
+ * diagram.cells.forEach(cell => { cell.color = random(palette) })
+ * function frame() {
+ *   points.forEach(p => { p.x += random(-1, 1); p.y += random(-1, 1) })
+ *   diagram.update(points).cells.forEach(cell => drawPolygon(cell.points, cell.color))
+ *   requestAnimationFrame(frame)
+ * }
  */
 function createVoronoiDiagram(opts) {
   opts = Object.assign({}, defaultOpts, opts);
 
-  opts.points = opts.points.map((point) => [point.x, point.y]);
+  // Normalize the clip shape and cover its bounding box with cells
+  const clip = opts.clip ? polygonUnion(opts.clip) : null;
+  let bounds = [0, 0, opts.width, opts.height];
 
-  const delaunay = Delaunay.from(opts.points);
-  const voronoi = delaunay.voronoi([0, 0, opts.width, opts.height]);
+  if (clip) {
+    const { minX, minY, maxX, maxY } = polygonBounds(clip.flat(2));
+    bounds = clip.length > 0 ? [minX, minY, maxX, maxY] : [0, 0, 0, 0];
+  }
 
-  const diagramPoints = [];
+  let delaunay = null;
+  let voronoi = null;
+  let sourcePoints = [];
 
-  for (let k = 0; k < opts.relaxIterations; k++) {
-    for (let i = 0; i < delaunay.points.length; i += 2) {
-      const cell = voronoi.cellPolygon(i >> 1);
+  // Cell objects by point index, reused across updates so state attached to them survives
+  const cellPool = [];
 
-      if (cell === null) continue;
+  // Cell polygon for a point, clipped to the clip shape when there is one
+  const cellPolygon = (pointIndex) => {
+    const cell = voronoi.cellPolygon(pointIndex);
 
-      const x0 = delaunay.points[i];
-      const y0 = delaunay.points[i + 1];
+    if (cell === null || !clip) return { ring: cell, rings: [cell] };
 
-      const [x1, y1] = polygonCentroid(cell);
+    const polygons = polygonIntersection(cell, clip);
 
-      delaunay.points[i] = x0 + (x1 - x0) * opts.relaxationFactor;
-      delaunay.points[i + 1] = y0 + (y1 - y0) * opts.relaxationFactor;
-    }
+    if (polygons.length === 0) return { ring: null };
 
-    voronoi.update();
-  }
+    // The largest part stands in for the cell, closed like d3's polygons
+    const largest = polygons.reduce((best, rings) =>
+      Math.abs(polygonArea(rings[0])) > Math.abs(polygonArea(best[0])) ? rings : best
+    );
+    const rings = largest.map((part) => part.map((p) => [p.x, p.y]));
+    const ring = rings[0].concat([rings[0][0].slice()]);
 
-  for (let i = 0; i < delaunay.points.length; i += 2) {
-    const x = delaunay.points[i];
-    const y = delaunay.points[i + 1];
+    return { ring, rings, polygons };
+  };
 
-    diagramPoints.push({
-      x,
-      y,
-    });
-  }
+  const setPoints = (points) => {
+    sourcePoints = points.slice();
+
+    // The same number of points reuses the triangulation's buffers
+    if (delaunay && delaunay.points.length === points.length * 2) {
+      points.forEach((point, i) => {
+        delaunay.points[i * 2] = point.x;
+        delaunay.points[i * 2 + 1] = point.y;
+      });
+      voronoi.update();
+    } else {
+      delaunay = Delaunay.from(points.map((point) => [point.x, point.y]));
+      voronoi = delaunay.voronoi(bounds);
+      cellPool.length = points.length;
+    }
+  };
 
-  const cells = [];
-  const pointIndexToCell = new Map();
+  const relaxPoints = (iterations) => {
+    for (let k = 0; k < iterations; k++) {
+      for (let i = 0; i < delaunay.points.length; i += 2) {
+        const cell = cellPolygon(i >> 1).ring;
 
-  for (let i = 0; i < delaunay.points.length; i += 2) {
-    const pointIndex = i >> 1;
-    const cell = voronoi.cellPolygon(pointIndex);
+        if (cell === null) continue;
 
-    if (cell === null) continue;
+        const x0 = delaunay.points[i];
+        const y0 = delaunay.points[i + 1];
 
-    const cellObj = {
-      ...formatCell(cell),
-      _pointIndex: pointIndex,
-      neighbors: [],
-    };
-    cells.push(cellObj);
-    pointIndexToCell.set(pointIndex, cellObj);
-  }
+        const { x: x1, y: y1 } = polygonCentroid(cell);
 
-  for (const cell of cells) {
-    const neighborIndices = [...voronoi.neighbors(cell._pointIndex)];
-    cell.neighbors = neighborIndices
-      .map((idx) => pointIndexToCell.get(idx))
-      .filter((neighbor) => neighbor !== undefined);
-    delete cell._pointIndex;
-  }
+        delaunay.points[i] = x0 + (x1 - x0) * opts.relaxationFactor;
+        delaunay.points[i + 1] = y0 + (y1 - y0) * opts.relaxationFactor;
+      }
 
-  return {
-    cells,
-    points: diagramPoints,
+      voronoi.update();
+    }
   };
-}
 
-function formatCell(points) {
-  return {
-    points,
-    innerCircleRadius: getClosestEdgeToCentroid(points),
-    centroid: {
-      x: polygonCentroid(points)[0],
-      y: polygonCentroid(points)[1],
+  const diagram = {
+    cells: [],
+    cellsByIndex: [],
+    points: [],
+    triangles: [],
+    edges: [],
+    hull: [],
+    delaunay: null,
+    voronoi: null,
+    update(points) {
+      setPoints(points);
+      build();
+      return diagram;
+    },
+    relax(iterations = 1) {
+      relaxPoints(iterations);
+      build();
+      return diagram;
     },
   };
-}
 
-function getClosestEdgeToCentroid(points) {
-  const centroid = polygonCentroid(points);
-  const pointsSorted = sortPointsByAngle(centroid, points);
-  const numPoints = pointsSorted.length;
+  // Rebuild the cells, edges and other results from the current triangulation
+  const build = () => {
+    const diagramPoints = [];
 
-  if (numPoints < 2) {
-    return 0;
-  }
+    for (let i = 0; i < delaunay.points.length; i += 2) {
+      const x = delaunay.points[i];
+      const y = delaunay.points[i + 1];
+
+      diagramPoints.push({
+        x,
+        y,
+      });
+    }
+
+    const cells = [];
+    const cellsByIndex = diagramPoints.map(() => null);
+
+    for (let i = 0; i < delaunay.points.length; i += 2) {
+      const pointIndex = i >> 1;
+      const { ring: cell, rings, polygons } = cellPolygon(pointIndex);
+
+      if (cell === null) continue;
+
+      const cellObj = cellPool[pointIndex] || {};
+
+      Object.assign(cellObj, {
+        points: cell,
+        centroid: polygonCentroid(cell),
+        index: pointIndex,
+        originalPoint: sourcePoints[pointIndex],
+        neighbors: [],
+      });
 
-  let closest = Infinity;
+      measureCell(cellObj, rings);
 
-  for (let i = 0; i < numPoints; i++) {
-    const p1 = pointsSorted[i];
-    const p2 = pointsSorted[(i + 1) % numPoints];
-    const dist = distToSegment(centroid, p1, p2);
+      if (polygons) cellObj.polygons = polygons;
 
-    if (dist < closest) {
-      closest = dist;
+      cells.push(cellObj);
+      cellPool[pointIndex] = cellObj;
+      cellsByIndex[pointIndex] = cellObj;
+    }
+
+    // A copy, so edges traced later still see the seeds of this build
+    const seeds = delaunay.points.slice();
+
+    for (const cell of cells) {
+      const neighborIndices = [...voronoi.neighbors(cell.index)];
+      cell.neighbors = neighborIndices
+        .map((idx) => cellsByIndex[idx])
+        .filter((neighbor) => neighbor !== null);
+
+      defineLazy(cell, "edges", () => traceEdges(cell, seeds));
     }
-  }
 
-  return closest;
+    // Each shared edge is listed once, from the cell with the lower index
+    const sharedEdges = () => {
+      const edges = [];
+
+      for (const cell of cells) {
+        for (const { points, neighbor } of cell.edges) {
+          if (neighbor === null || neighbor.index < cell.index) continue;
+
+          edges.push({ points, cells: [cell, neighbor] });
+        }
+      }
+
+      return edges;
+    };
+
+    // Clipping can separate cells that d3 considers neighbors, so with a clip
+    // shape the edges are traced now to find the cells that still touch
+    if (clip) {
+      const edges = sharedEdges();
+      const touching = new Set(edges.map(({ cells: [a, b] }) => a.index + "," + b.index));
+
+      for (const cell of cells) {
+        cell.neighbors = cell.neighbors.filter((neighbor) =>
+          touching.has(Math.min(cell.index, neighbor.index) + "," + Math.max(cell.index, neighbor.index))
+        );
+      }
+
+      defineLazy(diagram, "edges", () => edges);
+    } else {
+      defineLazy(diagram, "edges", sharedEdges);
+    }
+
+    const triangles = [];
+
+    for (let i = 0; i < delaunay.triangles.length; i += 3) {
+      triangles.push(
+        [0, 1, 2].map((k) => {
+          const j = delaunay.triangles[i + k];
+          return [delaunay.points[j * 2], delaunay.points[j * 2 + 1]];
+        })
+      );
+    }
+
+    const hull = Array.from(delaunay.hull, (j) => ({
+      x: delaunay.points[j * 2],
+      y: delaunay.points[j * 2 + 1],
+    }));
+
+    Object.assign(diagram, {
+      cells,
+      cellsByIndex,
+      points: diagramPoints,
+      triangles,
+      hull,
+      delaunay,
+      voronoi,
+    });
+  };
+
+  setPoints(opts.points);
+  relaxPoints(opts.relaxIterations);
+  build();
+
+  return diagram;
 }
 
-function sortPointsByAngle(centroid, points) {
-  const sorted = points.slice(0);
+// Split a cell's outline into edges, finding the neighbor across each one. An edge
+// is shared when both its ends are as far from the neighbor's seed as from the cell's
+function traceEdges(cell, seeds) {
+  const i = cell.index * 2;
+
+  const across = ([x, y], neighbor) => {
+    const j = neighbor.index * 2;
+    const gap = Math.hypot(seeds[i] - seeds[j], seeds[i + 1] - seeds[j + 1]);
 
-  const sortByAngle = (p1, p2) => {
     return (
-      Math.atan2(p1[1] - centroid[1], p1[0] - centroid[0]) -
-      Math.atan2(p2[1] - centroid[1], p2[0] - centroid[0])
+      Math.abs(
+        Math.hypot(x - seeds[i], y - seeds[i + 1]) -
+          Math.hypot(x - seeds[j], y - seeds[j + 1])
+      ) <=
+      gap * 1e-6
     );
   };
 
-  sorted.sort(sortByAngle);
+  const found = [];
+  const ring = cell.points;
+
+  for (let k = 0; k < ring.length - 1; k++) {
+    const a = ring[k];
+    const b = ring[k + 1];
+
+    if (a[0] === b[0] && a[1] === b[1]) continue;
+
+    const neighbor = cell.neighbors.find((other) => across(a, other) && across(b, other));
+
+    found.push({ points: [a.slice(), b.slice()], neighbor: neighbor || null });
+  }
+
+  return found;
+}
+
+// Define a property that is computed when first read and then kept. Assigning
+// to it replaces the value, and defining it again resets it
+function defineLazy(target, name, compute) {
+  const store = (value) =>
+    Object.defineProperty(target, name, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+
+  Object.defineProperty(target, name, {
+    get() {
+      const value = compute();
+      store(value);
+      return value;
+    },
+    set: store,
+    configurable: true,
+    enumerable: true,
+  });
+}
 
-  return sorted;
+// Measure a cell from its outline, closed like d3's polygons, and its rings as
+// [outer, ...holes]. The measurements are only taken when first read, so a
+// live diagram doesn't pay for them on every update
+function measureCell(cell, rings) {
+  const { points } = cell;
+  let pole = null;
+  let bounds = null;
+
+  const getPole = () => pole || (pole = poleOfInaccessibility(rings));
+  const getBounds = () => bounds || (bounds = polygonBounds(points));
+
+  defineLazy(cell, "innerCircleRadius", () => getPole().distance);
+  defineLazy(cell, "innerCircleCenter", () => ({ x: getPole().x, y: getPole().y }));
+  defineLazy(cell, "area", () => {
+    const holesArea = rings
+      .slice(1)
+      .reduce((sum, hole) => sum + Math.abs(polygonArea(hole)), 0);
+
+    return Math.abs(polygonArea(points)) - holesArea;
+  });
+  defineLazy(cell, "perimeter", () => rings.reduce((sum, ring) => sum + polygonPerimeter(ring), 0));
+  defineLazy(cell, "bounds", getBounds);
+  defineLazy(cell, "aspectRatio", () => getBounds().width / getBounds().height);
 }
 
 export { createVoronoiDiagram };
@@ -11,6 +11,24 @@ function dist2(v, w) {
   return sqr(v[0] - w[0]) + sqr(v[1] - w[1]);
 }
 
+/**
+ * Find the point on a line segment closest to a given point.
+ *
+ * @param {[number, number]} p - Point as [x, y]
+ * @param {[number, number]} v - Segment start point as [x, y]
+ * @param {[number, number]} w - Segment end point as [x, y]
+ * @returns {[number, number]} Closest point on the segment as [x, y]
+ * @example
+ * closestPointOnSegment([5, 5], [0, 0], [10, 0]) // Returns [5, 0]
+ */
+function closestPointOnSegment(p, v, w) {
+  var l2 = dist2(v, w);
+  if (l2 === 0) return [v[0], v[1]];
+  var t = ((p[0] - v[0]) * (w[0] - v[0]) + (p[1] - v[1]) * (w[1] - v[1])) / l2;
+  t = Math.max(0, Math.min(1, t));
+  return [v[0] + t * (w[0] - v[0]), v[1] + t * (w[1] - v[1])];
+}
+
 /**
  * Calculate the squared distance from a point to a line segment.
  * Use this instead of distToSegment when comparing distances (avoids sqrt).
@@ -21,11 +39,7 @@ function dist2(v, w) {
  * @returns {number} Squared distance from point to segment
  */
 function distToSegmentSquared(p, v, w) {
-  var l2 = dist2(v, w);
-  if (l2 === 0) return dist2(p, v);
-  var t = ((p[0] - v[0]) * (w[0] - v[0]) + (p[1] - v[1]) * (w[1] - v[1])) / l2;
-  t = Math.max(0, Math.min(1, t));
-  return dist2(p, [v[0] + t * (w[0] - v[0]), v[1] + t * (w[1] - v[1])]);
+  return dist2(p, closestPointOnSegment(p, v, w));
 }
 
 /**
@@ -42,4 +56,4 @@ function distToSegment(p, v, w) {
   return Math.sqrt(distToSegmentSquared(p, v, w));
 }
 
-export { distToSegment, distToSegmentSquared };
+export { distToSegment, distToSegmentSquared, closestPointOnSegment };
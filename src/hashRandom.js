@@ -0,0 +1,143 @@
+import { prngSeed } from "./prng.js";
+
+// Reused views for reading the bits of a float coordinate
+const float64 = new Float64Array(1);
+const uint32 = new Uint32Array(float64.buffer);
+
+let cachedSeed;
+let cachedSeedHash = 0;
+
+function rotl(x, r) {
+  return (x << r) | (x >>> (32 - r));
+}
+
+// Hash the seed's string form to 32 bits (cached, since most calls reuse one seed)
+function hashSeed(seed) {
+  if (seed === cachedSeed) return cachedSeedHash;
+
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = rotl(h, 13);
+  }
+
+  cachedSeed = seed;
+  cachedSeedHash = h >>> 0;
+
+  return cachedSeedHash;
+}
+
+// One MurmurHash3 mixing round
+function mix(h, k) {
+  k = Math.imul(k, 0xcc9e2d51);
+  k = rotl(k, 15);
+  k = Math.imul(k, 0x1b873593);
+  h ^= k;
+  h = rotl(h, 13);
+
+  return (Math.imul(h, 5) + 0xe6546b64) | 0;
+}
+
+// Mix both 32-bit halves of a coordinate, so 1 and 1.5 hash differently
+function mixCoord(h, value) {
+  float64[0] = value + 0; // Normalize -0 to 0
+  h = mix(h, uint32[0]);
+
+  return mix(h, uint32[1]);
+}
+
+/**
+ * Hash coordinates and a seed to an unsigned 32-bit integer.
+ * Used by `hashRandom`, `hashRandomInt` and `createRandom` instances.
+ *
+ * @param {string|number} seed - The seed value
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} [z] - Optional z coordinate (e.g. time or layer)
+ * @returns {number} Integer between 0 and 2^32 - 1
+ */
+function hashRandomIntWith(seed, x, y, z) {
+  // A string here is most likely a seed passed in z's place, which would hash as NaN
+  if (z !== undefined && typeof z !== "number") {
+    throw new Error("hashRandom: z must be a number; pass the seed as the fourth argument");
+  }
+
+  let h = hashSeed(seed);
+  let words = 4;
+
+  h = mixCoord(h, x);
+  h = mixCoord(h, y);
+
+  if (z !== undefined) {
+    h = mixCoord(h, z);
+    words += 2;
+  }
+
+  // MurmurHash3 finalizer
+  h ^= words;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+
+  return h >>> 0;
+}
+
+/**
+ * Float version of `hashRandomIntWith`.
+ *
+ * @param {string|number} seed - The seed value
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} [z] - Optional z coordinate
+ * @returns {number} Float in [0, 1)
+ */
+function hashRandomWith(seed, x, y, z) {
+  return hashRandomIntWith(seed, x, y, z) / 4294967296;
+}
+
+/**
+ * Stateless random value for a coordinate.
+ * The result depends only on the coordinates and the seed, never on how many
+ * values were generated before, so any region of an infinite or tiled canvas
+ * can be regenerated on its own with identical results.
+ *
+ * The arguments are `x`, `y`, an optional `z` and an optional seed, always in
+ * that order, like the `hashRandom` method of `createRandom` instances. When
+ * the seed is omitted (or undefined), the seed last passed to `seedPRNG` is used.
+ *
+ * @param {number} x - X coordinate (integer or float)
+ * @param {number} y - Y coordinate (integer or float)
+ * @param {number} [z] - Optional z coordinate (e.g. time or layer)
+ * @param {string|number} [seed] - Seed value (defaults to the `seedPRNG` seed)
+ * @returns {number} Float in [0, 1)
+ * @example
+ * seedPRNG('my-artwork')
+ * hashRandom(12, -3)                   // Same value for tile (12, -3) every time
+ * hashRandom(12, -3, frame)            // 3D, using the seedPRNG seed
+ * hashRandom(12, -3, undefined, 'other') // 2D with an explicit seed
+ */
+function hashRandom(x, y, z, seed) {
+  return hashRandomWith(seed === undefined ? prngSeed : seed, x, y, z);
+}
+
+/**
+ * Stateless random unsigned 32-bit integer for a coordinate.
+ * Takes the same arguments as `hashRandom`.
+ *
+ * @param {number} x - X coordinate (integer or float)
+ * @param {number} y - Y coordinate (integer or float)
+ * @param {number} [z] - Optional z coordinate (e.g. time or layer)
+ * @param {string|number} [seed] - Seed value (defaults to the `seedPRNG` seed)
+ * @returns {number} Integer between 0 and 2^32 - 1
+ * @example
+ * const variant = hashRandomInt(col, row, undefined, 'tiles') % 4 // 0-3, stable per tile
+ */
+function hashRandomInt(x, y, z, seed) {
+  return hashRandomIntWith(seed === undefined ? prngSeed : seed, x, y, z);
+}
+
+export { hashRandom, hashRandomInt, hashRandomWith, hashRandomIntWith };
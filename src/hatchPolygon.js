@@ -0,0 +1,249 @@
+import { prng } from './prng.js';
+import { polygonUnion } from './polygonBoolean.js';
+import { distToSegmentSquared } from './distToSegment.js';
+
+const rotate = (p, cos, sin) => ({ x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos });
+
+// True if segments ab and cd cross somewhere other than their ends
+function crossesInside(a, b, c, d) {
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  const sx = d.x - c.x;
+  const sy = d.y - c.y;
+  const denom = rx * sy - ry * sx;
+
+  if (denom === 0) return false;
+
+  const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+  const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+  const eps = 1e-9;
+
+  return t > eps && t < 1 - eps && u > eps && u < 1 - eps;
+}
+
+// Even-odd inside test against every ring (outer rings and holes)
+function insideRings(rings, p) {
+  let inside = false;
+
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[j];
+      const b = ring[i];
+
+      if (a.y > p.y !== b.y > p.y && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+  });
+
+  return inside;
+}
+
+// Hatch lines at one angle, as segments or serpentine polylines
+function hatchPass(rng, rings, angle, spacing, jitter, serpentine) {
+  const cos = Math.cos(-angle);
+  const sin = Math.sin(-angle);
+
+  // Rotate so hatch lines run horizontally
+  const rotated = rings.map((ring) => ring.map((p) => rotate(p, cos, sin)));
+
+  let minY = Infinity;
+  let maxY = -Infinity;
+
+  rotated.forEach((ring) =>
+    ring.forEach((p) => {
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+    })
+  );
+
+  // Center the lines within the shape's extent. Fitting only as many lines as
+  // leave a margin keeps them off the boundary when the height is an exact
+  // multiple of the spacing, and a shape thinner than the spacing gets one
+  const height = maxY - minY;
+  const count = Math.max(1, Math.floor(height / spacing));
+  const start = minY + (height - (count - 1) * spacing) / 2;
+
+  // Segments for each scanline, sorted left to right
+  const scanlines = [];
+
+  for (let line = 0; line < count; line++) {
+    const y0 = start + line * spacing;
+    const y = jitter > 0 ? y0 + (rng() - 0.5) * jitter * spacing : y0;
+    const xs = [];
+
+    rotated.forEach((ring) => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[j];
+        const b = ring[i];
+
+        if (a.y > y !== b.y > y) {
+          xs.push(a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y));
+        }
+      }
+    });
+
+    xs.sort((a, b) => a - b);
+
+    const segments = [];
+
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      if (xs[i + 1] > xs[i]) segments.push([{ x: xs[i], y }, { x: xs[i + 1], y }]);
+    }
+
+    scanlines.push(segments);
+  }
+
+  let lines;
+
+  if (!serpentine) {
+    lines = scanlines.flat();
+  } else {
+    // Connectors must stay inside the shape. Their ends sit on the boundary,
+    // so a connector running along an edge counts as inside
+    const edges = [];
+    rotated.forEach((ring) => ring.forEach((p, i) => edges.push([p, ring[(i + 1) % ring.length]])));
+
+    const epsilonSq = (Math.max(height, spacing) * 1e-9) ** 2;
+    const onBoundary = (p) =>
+      edges.some(([c, d]) => distToSegmentSquared([p.x, p.y], [c.x, c.y], [d.x, d.y]) <= epsilonSq);
+
+    const canConnect = (a, b) => {
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+      return (
+        (onBoundary(mid) || insideRings(rotated, mid)) &&
+        !edges.some(([c, d]) => crossesInside(a, b, c, d))
+      );
+    };
+
+    lines = [];
+    let open = [];
+
+    scanlines.forEach((segments) => {
+      const next = [];
+
+      segments.forEach(([left, right]) => {
+        let best = -1;
+        let bestDist = Infinity;
+        let flip = false;
+
+        // Join the nearest chain that ended on the previous line, entering the
+        // segment at its nearer end, or at the other end if that is blocked
+        open.forEach((chain, i) => {
+          if (!chain) return;
+
+          const end = chain[chain.length - 1];
+          const dLeft = Math.hypot(end.x - left.x, end.y - left.y);
+          const dRight = Math.hypot(end.x - right.x, end.y - right.y);
+          const entries = [
+            { dist: dLeft, entry: left, flipped: false },
+            { dist: dRight, entry: right, flipped: true }
+          ].sort((a, b) => a.dist - b.dist);
+
+          for (const { dist, entry, flipped } of entries) {
+            if (dist >= bestDist) break;
+
+            if (canConnect(end, entry)) {
+              best = i;
+              bestDist = dist;
+              flip = flipped;
+              break;
+            }
+          }
+        });
+
+        const segment = flip ? [right, left] : [left, right];
+
+        if (best === -1) {
+          next.push(segment.slice());
+        } else {
+          const chain = open[best];
+          open[best] = null;
+          chain.push(...segment);
+          next.push(chain);
+        }
+      });
+
+      open.forEach((chain) => chain && lines.push(chain));
+      open = next;
+    });
+
+    open.forEach((chain) => lines.push(chain));
+  }
+
+  // Rotate back into place
+  const back = (p) => rotate(p, Math.cos(angle), Math.sin(angle));
+
+  return lines.map((line) => line.map(back));
+}
+
+/**
+ * Implementation of `hatchPolygon` that draws from the given generator.
+ * Used by `hatchPolygon` (shared PRNG) and by `createRandom` instances.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Array} points - Shape to fill (see `hatchPolygon`)
+ * @param {Object} [options] - Configuration options (see `hatchPolygon`)
+ * @returns {Array<Array<{x: number, y: number}>>} Hatch lines
+ */
+export function hatchPolygonWith(rng, points, options) {
+  const opts = Object.assign(
+    {
+      angle: Math.PI / 4,
+      spacing: 5,
+      crosshatch: false,
+      jitter: 0,
+      serpentine: false
+    },
+    options
+  );
+
+  const { angle, spacing, crosshatch, jitter, serpentine } = opts;
+
+  if (!(spacing > 0)) {
+    throw new Error('hatchPolygon: spacing must be greater than 0');
+  }
+
+  // Resolve self-intersections and collect outer rings and holes together
+  const rings = polygonUnion(points).flat();
+
+  if (rings.length === 0) return [];
+
+  const lines = hatchPass(rng, rings, angle, spacing, jitter, serpentine);
+
+  if (crosshatch !== false) {
+    const crossAngle = angle + (crosshatch === true ? Math.PI / 2 : crosshatch);
+    lines.push(...hatchPass(rng, rings, crossAngle, spacing, jitter, serpentine));
+  }
+
+  return lines;
+}
+
+/**
+ * Fill a polygon with parallel hatch lines, for pen plotters and line art.
+ *
+ * Works with concave polygons and polygons with holes: the shape can be any
+ * form accepted by `polygonUnion`, with `{x, y}` or `[x, y]` points. Each
+ * hatch line is returned as a two-point segment, or with `serpentine` the
+ * lines are joined end to end into as few continuous strokes as possible.
+ *
+ * @param {Array} points - Shape to fill
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.angle=Math.PI / 4] - Direction of the hatch lines in radians
+ * @param {number} [options.spacing=5] - Distance between lines
+ * @param {boolean|number} [options.crosshatch=false] - Add a second set of lines at right angles (true) or at this angle offset in radians
+ * @param {number} [options.jitter=0] - Random variation of each line's position, as a fraction of spacing (0-1)
+ * @param {boolean} [options.serpentine=false] - Join lines into continuous zig-zag strokes
+ * @returns {Array<Array<{x: number, y: number}>>} Hatch lines as polylines
+ * @throws {Error} If spacing is not greater than 0
+ * @example
+ * const hexagon = polygon({ sides: 6, radius: 150, cx: 200, cy: 200 })
+ *
+ * hatchPolygon(hexagon, { spacing: 4, crosshatch: true }).forEach(line => {
+ *   svg.path(pointsToPath(line, false)).stroke('#000')
+ * })
+ */
+export function hatchPolygon(points, options) {
+  return hatchPolygonWith(prng, points, options);
+}
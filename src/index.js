@@ -1,16 +1,55 @@
 export { random } from "./random.js";
 export { randomBias } from "./randomBias.js";
 export { randomSnap } from "./randomSnap.js";
-export { spline } from "./spline.js";
+export {
+  randomGaussian,
+  randomGaussian as randomNormal,
+  randomLogNormal,
+  randomExponential,
+  randomPoisson,
+  randomGeometric,
+  randomTriangular,
+  randomBeta,
+  randomPareto,
+  randomChance,
+  randomSign,
+} from "./randomDistributions.js";
+export {
+  shuffle,
+  shuffleInPlace,
+  sample,
+  weightedPick,
+  createWeightedSampler,
+} from "./randomArray.js";
+export { spline, createSpline } from "./spline.js";
+export {
+  bezierPoint,
+  bezierDerivative,
+  splitBezier,
+  bezierLength,
+  bezierTAtLength,
+  bezierBounds,
+  nearestPointOnBezier,
+  flattenBezier,
+  offsetBezier,
+  bezierToPath
+} from "./bezier.js";
 export { map } from "./map.js";
 export { pointsInPath } from "./pointsInPath.js";
+export { parsePath, createPathMeasure } from "./svgPath.js";
 export { createCoordsTransformer } from "./createCoordsTransformer.js";
 export { createQtGrid } from "./createQtGrid.js";
-export { distToSegment } from "./distToSegment.js";
+export { distToSegment, closestPointOnSegment } from "./distToSegment.js";
 export { createVoronoiDiagram } from "./createVoronoiDiagram.js";
 export { createVoronoiDiagram as createVoronoiTessellation } from "./createVoronoiDiagram.js";
-export { seedPRNG } from "./prng.js";
+export { createStipple } from "./createStipple.js";
+export { seedPRNG, getPRNGState, setPRNGState } from "./prng.js";
+export { createRandom, forkPRNG } from "./createRandom.js";
+export { hashRandom, hashRandomInt } from "./hashRandom.js";
+export { seedFromHash, createHashRandom, randomHash } from "./tokenHash.js";
+export { createNoise } from "./createNoise.js";
 export { createNoiseGrid } from "./createNoiseGrid.js";
+export { traceFlowField } from "./traceFlowField.js";
 export { lerp } from "./lerp.js";
 export { clamp } from "./clamp.js";
 export {
@@ -39,4 +78,32 @@ export {
   setMagnitude
 } from "./vec2.js";
 export { polygon, star, pointsToPath } from "./polygon.js";
-export { poissonDisc } from "./poissonDisc.js";
+export {
+  polygonArea,
+  polygonCentroid,
+  polygonPerimeter,
+  polygonBounds,
+  polygonWinding,
+  pointInPolygon,
+  convexHull,
+  isConvex,
+  nearestPointOnPolygon,
+  poleOfInaccessibility
+} from "./polygonMeasure.js";
+export { poissonDisc, poissonDiscIterator } from "./poissonDisc.js";
+export { packCircles } from "./packCircles.js";
+export {
+  polygonUnion,
+  polygonIntersection,
+  polygonDifference,
+  polygonXor
+} from "./polygonBoolean.js";
+export { offsetPolygon } from "./offsetPolygon.js";
+export { hatchPolygon } from "./hatchPolygon.js";
+export {
+  simplifyRDP,
+  simplifyVisvalingam,
+  smoothChaikin,
+  smoothLaplacian,
+  resamplePolyline
+} from "./simplify.js";
@@ -0,0 +1,179 @@
+import { polygonUnion, unionRings } from './polygonBoolean.js';
+import { toPoint } from './toPoint.js';
+
+// Points on an arc around `center`, from `start` through `sweep` radians (excluding the start)
+function arc(center, start, radius, sweep, tolerance) {
+  const step = 2 * Math.acos(Math.max(-1, 1 - tolerance / radius));
+  const segments = Math.max(1, Math.ceil(Math.abs(sweep) / step));
+  const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+  const points = [];
+
+  for (let i = 1; i <= segments; i++) {
+    const angle = startAngle + (sweep * i) / segments;
+    points.push({ x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius });
+  }
+
+  return points;
+}
+
+/*
+ * Build the raw offset contour of a ring: every edge moved `delta` along its
+ * outward (right-hand) normal, with joins added where the moved edges leave a
+ * gap. Where they overlap instead, the contour loops back through the vertex;
+ * those loops, and any part that turns inside out, are removed later by a
+ * positive-winding union. `ends` marks vertices where an open path turns back
+ * on itself and gets a cap.
+ */
+function rawContour(ring, delta, opts, ends) {
+  const { join, miterLimit, cap, arcTolerance } = opts;
+  const count = ring.length;
+  const radius = Math.abs(delta);
+  const edges = [];
+
+  for (let i = 0; i < count; i++) {
+    const a = ring[i];
+    const b = ring[(i + 1) % count];
+    const len = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+    const dir = { x: (b.x - a.x) / len, y: (b.y - a.y) / len };
+
+    edges.push({ dir, normal: { x: dir.y, y: -dir.x } });
+  }
+
+  const contour = [];
+
+  for (let i = 0; i < count; i++) {
+    const v = ring[i];
+    const prev = edges[(i - 1 + count) % count];
+    const next = edges[i];
+    const q1 = { x: v.x + prev.normal.x * delta, y: v.y + prev.normal.y * delta };
+    const q2 = { x: v.x + next.normal.x * delta, y: v.y + next.normal.y * delta };
+
+    if (ends.has(i)) {
+      if (cap === 'round') {
+        contour.push(q1, ...arc(v, q1, radius, Math.PI, arcTolerance));
+      } else if (cap === 'square') {
+        contour.push(
+          { x: q1.x + prev.dir.x * radius, y: q1.y + prev.dir.y * radius },
+          { x: q2.x + prev.dir.x * radius, y: q2.y + prev.dir.y * radius }
+        );
+      } else {
+        contour.push(q1, q2);
+      }
+      continue;
+    }
+
+    const cross = prev.dir.x * next.dir.y - prev.dir.y * next.dir.x;
+    const dot = prev.dir.x * next.dir.x + prev.dir.y * next.dir.y;
+
+    // Straight on: both moved edges meet at the same point
+    if (Math.abs(cross) < 1e-12 && dot > 0) {
+      contour.push(q1);
+      continue;
+    }
+
+    const gap = cross * delta > 0 || (Math.abs(cross) < 1e-12 && delta > 0);
+
+    if (!gap) {
+      contour.push(q1, v, q2);
+      continue;
+    }
+
+    // Miter ratio (miter length / stroke width) is 1 / cos(half the turn)
+    const cosHalf = Math.sqrt(Math.max(0, (1 + dot) / 2));
+
+    if (join === 'round') {
+      contour.push(q1, ...arc(v, q1, radius, Math.atan2(cross, dot), arcTolerance));
+    } else if (join === 'miter' && cosHalf > 0 && 1 / cosHalf <= miterLimit) {
+      const scale = delta / (2 * cosHalf * cosHalf);
+
+      contour.push({
+        x: v.x + (prev.normal.x + next.normal.x) * scale,
+        y: v.y + (prev.normal.y + next.normal.y) * scale
+      });
+    } else {
+      contour.push(q1, q2);
+    }
+  }
+
+  return contour;
+}
+
+/**
+ * Grow or shrink a closed polygon, or outline an open polyline.
+ *
+ * Positive distances grow polygons and negative distances shrink them. Parts
+ * thinner than twice the inset collapse and disappear, and self-intersections
+ * are cleaned up, so the result may have several parts or holes. Closed input
+ * can be any shape accepted by `polygonUnion`, including polygons with holes.
+ * For open polylines (`closed: false`) the result is the outline of a stroke
+ * `2 * |distance|` wide.
+ *
+ * @param {Array} points - Polygon (or any `polygonUnion` shape) or polyline, with `{x, y}` or `[x, y]` points
+ * @param {number} distance - Offset distance (negative insets closed polygons)
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.join='miter'] - Corner style: 'miter', 'round' or 'bevel'
+ * @param {number} [options.miterLimit=4] - Miter length (as a multiple of the stroke width) beyond which miters are beveled, as in SVG
+ * @param {string} [options.cap='butt'] - End style for open polylines: 'butt', 'round' or 'square'
+ * @param {boolean} [options.closed=true] - Treat the points as a closed polygon
+ * @param {number} [options.arcTolerance=0.25] - Maximum distance between round joins and caps and the true arc
+ * @returns {Array<Array<Array<{x: number, y: number}>>>} List of polygons, each `[outer, ...holes]`
+ * @example
+ * // Inset Voronoi cells to leave a 4px gutter between them
+ * cells.forEach(cell => {
+ *   offsetPolygon(cell.points, -2, { join: 'round' }).forEach(rings => {
+ *     svg.path(rings.map(ring => pointsToPath(ring)).join(''))
+ *   })
+ * })
+ */
+export function offsetPolygon(points, distance, options) {
+  const opts = Object.assign(
+    {
+      join: 'miter',
+      miterLimit: 4,
+      cap: 'butt',
+      closed: true,
+      arcTolerance: 0.25
+    },
+    options
+  );
+
+  if (opts.closed) {
+    // Resolve self-intersections first. The result has outer rings wound
+    // positive and holes negative, so every edge offsets away from the shape's inside
+    const polygons = polygonUnion(points);
+
+    if (distance === 0) return polygons;
+
+    const contours = [];
+
+    polygons.forEach((rings) => {
+      rings.forEach((ring) => contours.push(rawContour(ring, distance, opts, new Set())));
+    });
+
+    return unionRings(contours, 'positive');
+  }
+
+  // Drop repeated points, which have no direction
+  const path = [];
+
+  points.map(toPoint).forEach((p) => {
+    const last = path[path.length - 1];
+    if (!last || last.x !== p.x || last.y !== p.y) path.push(p);
+  });
+
+  const radius = Math.abs(distance);
+
+  if (path.length === 0 || radius === 0) return [];
+
+  if (path.length === 1) {
+    if (opts.cap !== 'round') return [];
+
+    const start = { x: path[0].x + radius, y: path[0].y };
+    return unionRings([arc(path[0], start, radius, Math.PI * 2, opts.arcTolerance)], 'positive');
+  }
+
+  // Walk the path out and back as one ring, turning around at the ends
+  const ring = path.concat(path.slice(1, -1).reverse());
+
+  return unionRings([rawContour(ring, radius, opts, new Set([0, path.length - 1]))], 'positive');
+}
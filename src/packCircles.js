@@ -0,0 +1,303 @@
+import { prng } from './prng.js';
+import { polygonUnion } from './polygonBoolean.js';
+import { polygonBounds, pointInPolygon, nearestPointOnPolygon } from './polygonMeasure.js';
+
+/**
+ * @typedef {Object} PackedCircle
+ * @property {number} x - X position of the center
+ * @property {number} y - Y position of the center
+ * @property {number} radius - Radius
+ */
+
+// Points on the rim checked against a mask function
+const RIM_SAMPLES = 12;
+
+// Turn the bounds option into a bounding box and a function giving how far a
+// circle at (x, y) can reach before leaving the shape (0 or less if outside)
+function resolveBounds(bounds, width, height) {
+  if (bounds === undefined || (!Array.isArray(bounds) && typeof bounds === 'object')) {
+    const { x = 0, y = 0, width: w = width, height: h = height } = bounds || {};
+    const box = { minX: x, minY: y, maxX: x + w, maxY: y + h };
+
+    return {
+      box,
+      room: (px, py) => Math.min(px - box.minX, box.maxX - px, py - box.minY, box.maxY - py)
+    };
+  }
+
+  if (typeof bounds === 'function') {
+    const box = { minX: 0, minY: 0, maxX: width, maxY: height };
+    const inside = (px, py) => px >= 0 && px <= width && py >= 0 && py <= height && bounds(px, py);
+
+    return {
+      box,
+      // The largest radius (up to the limit) whose rim stays inside the mask, found by bisection
+      room: (px, py, limit) => {
+        if (!inside(px, py)) return -1;
+
+        const rimInside = (r) => {
+          for (let i = 0; i < RIM_SAMPLES; i++) {
+            const angle = (i / RIM_SAMPLES) * Math.PI * 2;
+            if (!inside(px + Math.cos(angle) * r, py + Math.sin(angle) * r)) return false;
+          }
+          return true;
+        };
+
+        if (rimInside(limit)) return limit;
+
+        let lo = 0;
+        let hi = limit;
+
+        for (let i = 0; i < 8; i++) {
+          const mid = (lo + hi) / 2;
+          if (rimInside(mid)) lo = mid;
+          else hi = mid;
+        }
+
+        return lo;
+      }
+    };
+  }
+
+  // Any polygon shape: outer rings and holes together, inside by the even-odd rule
+  const rings = polygonUnion(bounds).flat();
+  const box = polygonBounds(rings.flat());
+
+  return {
+    box,
+    room: (px, py) => {
+      const point = { x: px, y: py };
+      const inside = rings.filter((ring) => pointInPolygon(point, ring)).length % 2 === 1;
+
+      if (!inside) return -1;
+
+      return Math.min(...rings.map((ring) => nearestPointOnPolygon(point, ring).distance));
+    }
+  };
+}
+
+/**
+ * Implementation of `packCircles` that draws from the given generator.
+ * Used by `packCircles` (shared PRNG) and by `createRandom` instances.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Object} [options] - Configuration options (see `packCircles`)
+ * @returns {PackedCircle[]} Packed circles
+ */
+export function packCirclesWith(rng, options) {
+  const opts = Object.assign(
+    {
+      width: 100,
+      height: 100,
+      bounds: undefined,
+      minRadius: 2,
+      maxRadius: 20,
+      count: Infinity,
+      padding: 0,
+      radiusFn: undefined,
+      mode: 'grow',
+      maxAttempts: 500
+    },
+    options
+  );
+
+  const { minRadius, maxRadius, count, padding, radiusFn, mode, maxAttempts } = opts;
+
+  if (!(minRadius > 0) || !(maxRadius >= minRadius)) {
+    throw new Error('packCircles: minRadius must be greater than 0 and no larger than maxRadius');
+  }
+
+  if (mode !== 'grow' && mode !== 'apollonian') {
+    throw new Error(`packCircles: unknown mode '${mode}', use 'grow' or 'apollonian'`);
+  }
+
+  const { box, room } = resolveBounds(opts.bounds, opts.width, opts.height);
+  const boxWidth = box.maxX - box.minX;
+  const boxHeight = box.maxY - box.minY;
+
+  if (!(boxWidth > 0 && boxHeight > 0)) return [];
+
+  // Spatial hash: every circle is listed in each cell its padded disc overlaps.
+  // Cells are sized from the smallest circles, capped to keep the grid small
+  const cellSize = Math.max(minRadius * 2 + padding, Math.sqrt((boxWidth * boxHeight) / 250000));
+  const cols = Math.ceil(boxWidth / cellSize) + 1;
+  const rows = Math.ceil(boxHeight / cellSize) + 1;
+  const grid = new Array(cols * rows);
+  const circles = [];
+
+  const cellOf = (x, y) => [
+    Math.min(cols - 1, Math.max(0, Math.floor((x - box.minX) / cellSize))),
+    Math.min(rows - 1, Math.max(0, Math.floor((y - box.minY) / cellSize)))
+  ];
+
+  const addCircle = (circle) => {
+    const reach = circle.radius + padding;
+    const [c0, r0] = cellOf(circle.x - reach, circle.y - reach);
+    const [c1, r1] = cellOf(circle.x + reach, circle.y + reach);
+
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const i = r * cols + c;
+        if (grid[i] === undefined) grid[i] = [];
+        grid[i].push(circle);
+      }
+    }
+
+    circles.push(circle);
+  };
+
+  // Largest radius for a circle at (x, y): limited by maxRadius, radiusFn,
+  // the bounds and the nearest circle. Stops early once it drops below `floor`
+  const freeRadius = (x, y, floor = minRadius) => {
+    let best = radiusFn ? Math.min(maxRadius, radiusFn(x, y)) : maxRadius;
+
+    if (!(best >= floor)) return -1;
+
+    best = Math.min(best, room(x, y, best));
+
+    if (best < floor) return best;
+
+    // Search rings of cells outward until they are too far away to matter
+    const [col, row] = cellOf(x, y);
+
+    for (let k = 0; (k - 1) * cellSize <= best + padding; k++) {
+      for (let r = row - k; r <= row + k; r++) {
+        if (r < 0 || r >= rows) continue;
+
+        const step = r === row - k || r === row + k ? 1 : 2 * k;
+
+        for (let c = col - k; c <= col + k; c += step) {
+          const cell = c >= 0 && c < cols ? grid[r * cols + c] : undefined;
+
+          if (cell === undefined) continue;
+
+          for (const other of cell) {
+            const gap = Math.hypot(other.x - x, other.y - y) - other.radius - padding;
+            if (gap < best) best = gap;
+          }
+        }
+      }
+
+      if (best < floor) return best;
+    }
+
+    return best;
+  };
+
+  const randomPoint = () => ({
+    x: box.minX + rng() * boxWidth,
+    y: box.minY + rng() * boxHeight
+  });
+
+  // Every gap borders some circle, so half the candidates sit just outside a random circle
+  const pointNearCircle = () => {
+    const circle = circles[Math.floor(rng() * circles.length)];
+    const angle = rng() * Math.PI * 2;
+    const distance = circle.radius + padding + minRadius;
+
+    return { x: circle.x + Math.cos(angle) * distance, y: circle.y + Math.sin(angle) * distance };
+  };
+
+  if (mode === 'grow') {
+    // Each circle grows from a random point until it touches a neighbor or the edge
+    let failures = 0;
+
+    while (circles.length < count && failures < maxAttempts) {
+      const { x, y } = randomPoint();
+      const radius = freeRadius(x, y);
+
+      if (radius < minRadius) {
+        failures++;
+        continue;
+      }
+
+      addCircle({ x, y, radius });
+      failures = 0;
+    }
+  } else {
+    // Place each circle in the largest gap left: the best of many random
+    // candidates, nudged until it touches its neighbors. Candidates that don't
+    // fit yet may still lead into a gap, so they are compared by how close they come
+    let misses = 0;
+
+    while (circles.length < count) {
+      let best = null;
+
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const candidate = circles.length > 0 && rng() < 0.5 ? pointNearCircle() : randomPoint();
+        const radius = freeRadius(candidate.x, candidate.y, -Infinity);
+
+        if (best === null || radius > best.radius) {
+          best = { x: candidate.x, y: candidate.y, radius };
+        }
+      }
+
+      if (best === null) break;
+
+      let step = Math.max(best.radius, minRadius) / 2;
+
+      while (step > minRadius * 0.01) {
+        let moved = false;
+
+        for (let i = 0; i < 8; i++) {
+          const angle = (i / 8) * Math.PI * 2;
+          const x = best.x + Math.cos(angle) * step;
+          const y = best.y + Math.sin(angle) * step;
+          const radius = freeRadius(x, y, -Infinity);
+
+          if (radius > best.radius) {
+            best = { x, y, radius };
+            moved = true;
+          }
+        }
+
+        if (!moved) step /= 2;
+      }
+
+      // Give up after a few rounds in a row find nothing that fits
+      if (best.radius < minRadius) {
+        if (++misses === 3) break;
+        continue;
+      }
+
+      addCircle(best);
+      misses = 0;
+    }
+  }
+
+  return circles;
+}
+
+/**
+ * Pack non-overlapping circles inside a rectangle, polygon or mask.
+ *
+ * In 'grow' mode each circle starts at a random point and grows until it
+ * touches a neighbor, the edge or `maxRadius`, giving a natural mix of sizes.
+ * In 'apollonian' mode each circle fills the largest gap left, touching its
+ * neighbors, so sizes fall off from a few large circles to many small ones.
+ *
+ * @param {Object} [options] - Configuration options
+ * @param {{x?: number, y?: number, width: number, height: number}|Array|function(number, number): boolean} [options.bounds] - Rectangle, polygon shape (holes allowed) or mask predicate to pack into. Defaults to the width x height rectangle
+ * @param {number} [options.width=100] - Width of the default rectangle, and of the area a mask is tested over
+ * @param {number} [options.height=100] - Height of the default rectangle, and of the area a mask is tested over
+ * @param {number} [options.minRadius=2] - Smallest circle to place
+ * @param {number} [options.maxRadius=20] - Largest circle to place
+ * @param {number} [options.count=Infinity] - Stop after this many circles
+ * @param {number} [options.padding=0] - Space kept between circles
+ * @param {function(number, number): number} [options.radiusFn] - Largest radius allowed at a position (never more than maxRadius)
+ * @param {string} [options.mode='grow'] - 'grow' or 'apollonian'
+ * @param {number} [options.maxAttempts=500] - 'grow': failed placements in a row before stopping. 'apollonian': candidates tried for each circle
+ * @returns {PackedCircle[]} Circles in the order they were placed
+ * @throws {Error} If minRadius is not greater than 0 or is larger than maxRadius, or the mode is unknown
+ * @example
+ * const circles = packCircles({
+ *   bounds: polygon({ sides: 6, radius: 180, cx: 200, cy: 200 }),
+ *   minRadius: 2,
+ *   maxRadius: 40,
+ *   padding: 2
+ * })
+ * circles.forEach(({ x, y, radius }) => svg.circle(radius * 2).center(x, y))
+ */
+export function packCircles(options) {
+  return packCirclesWith(prng, options);
+}
@@ -1,18 +1,31 @@
+import { createPathMeasure } from './svgPath.js'
+
 /**
- * Extract evenly-spaced points along an SVG path element.
+ * Extract evenly-spaced points along an SVG path.
+ *
+ * Path elements are measured with the browser's own `getTotalLength` and
+ * `getPointAtLength`. Path data strings (and elements without those methods)
+ * are measured with `createPathMeasure`, so this also works outside the DOM.
  *
- * @param {SVGPathElement} path - An SVG path DOM element
+ * @param {SVGPathElement|string} path - An SVG path DOM element, or path data
  * @param {number} [numPoints=10] - Number of points to extract
  * @returns {Array<{x: number, y: number}>} Array of points along the path
  * @example
  * const pathEl = document.querySelector('path')
  * const points = pointsInPath(pathEl, 20)
+ *
+ * // In Node or a worker
+ * const dataPoints = pointsInPath('M 50,200 Q 200,50 350,200', 20)
  */
 function pointsInPath(path, numPoints = 10) {
   if (numPoints < 1) {
     return []
   }
 
+  if (typeof path === 'string' || typeof path.getTotalLength !== 'function') {
+    return createPathMeasure(path).getPoints(numPoints)
+  }
+
   const pathLength = path.getTotalLength()
 
   if (numPoints === 1) {
@@ -1,39 +1,64 @@
 import { prng } from './prng.js';
+import { pointInPolygon } from './polygonMeasure.js';
 
-/**
- * Generate evenly-distributed points using Poisson disc sampling.
- * Uses Bridson's algorithm for O(n) performance.
- *
- * @param {Object} options - Configuration options
- * @param {number} options.width - Width of the sampling area
- * @param {number} options.height - Height of the sampling area
- * @param {number} options.radius - Minimum distance between points
- * @param {number} [options.maxAttempts=30] - Attempts to place each new point
- * @returns {Array<{x: number, y: number}>} Array of sample points
- */
-export function poissonDisc(options) {
+// Smallest radius found on a coarse grid, used to size the spatial grid
+function estimateMinRadius(radiusAt, width, height) {
+  const steps = 10;
+  let min = Infinity;
+
+  for (let i = 0; i <= steps; i++) {
+    for (let j = 0; j <= steps; j++) {
+      const r = radiusAt((i / steps) * width, (j / steps) * height);
+      if (r > 0 && r < min) min = r;
+    }
+  }
+
+  return min;
+}
+
+// Bridson's algorithm as a generator, yielding each point as it is accepted.
+// Both the batch and iterator versions run this, so they produce the same sequence
+function* samplePoints(rng, options) {
   const opts = Object.assign(
     {
       width: 100,
       height: 100,
       radius: 10,
-      maxAttempts: 30
+      maxAttempts: 30,
+      mask: undefined,
+      initialPoints: [],
+      maxPoints: Infinity
     },
     options
   );
 
-  const { width, height, radius, maxAttempts } = opts;
+  const { width, height, maxAttempts, mask, maxPoints } = opts;
+
+  const radiusAt = typeof opts.radius === 'function' ? opts.radius : () => opts.radius;
+
+  const inMask =
+    mask === undefined
+      ? () => true
+      : typeof mask === 'function'
+        ? mask
+        : (x, y) => pointInPolygon({ x, y }, mask);
 
-  // Cell size for the spatial grid (radius / sqrt(2) ensures at most one point per cell)
-  const cellSize = radius / Math.SQRT2;
+  // Cell size for the spatial grid (radius / sqrt(2) ensures at most one point per cell).
+  // With a radius function, size cells from the smallest radius, capped to keep the grid small.
+  // The estimate is Infinity when the function is positive only between the grid samples
+  const minCellRadius = Math.max(width, height) / 1000;
+  const estimate = typeof opts.radius === 'function' ? estimateMinRadius(radiusAt, width, height) : opts.radius;
+  const minRadius = Number.isFinite(estimate) ? Math.max(estimate, minCellRadius) : minCellRadius;
+  const cellSize = minRadius / Math.SQRT2;
   const gridWidth = Math.ceil(width / cellSize);
   const gridHeight = Math.ceil(height / cellSize);
 
-  // Grid stores indices into the points array (-1 = empty)
-  const grid = new Array(gridWidth * gridHeight).fill(-1);
+  // Grid stores lists of indices into the points array
+  const grid = new Array(gridWidth * gridHeight);
 
-  // All accepted points
+  // All accepted points, and the radius each was placed with
   const points = [];
+  const radii = [];
 
   // Active list of points to try spawning from
   const active = [];
@@ -45,10 +70,18 @@ export function poissonDisc(options) {
     return row * gridWidth + col;
   };
 
-  // Check if a point is valid (within bounds and far enough from neighbors)
+  const inBounds = (x, y) => x >= 0 && x < width && y >= 0 && y < height;
+
+  // Check if a point is valid (within bounds and mask, and far enough from neighbors)
   const isValid = (x, y) => {
     // Check bounds
-    if (x < 0 || x >= width || y < 0 || y >= height) {
+    if (!inBounds(x, y) || !inMask(x, y)) {
+      return false;
+    }
+
+    const radius = radiusAt(x, y);
+
+    if (!(radius > 0)) {
       return false;
     }
 
@@ -56,25 +89,28 @@ export function poissonDisc(options) {
     const col = Math.floor(x / cellSize);
     const row = Math.floor(y / cellSize);
 
-    // Check neighboring cells (5x5 grid centered on point's cell)
-    const minCol = Math.max(0, col - 2);
-    const maxCol = Math.min(gridWidth - 1, col + 2);
-    const minRow = Math.max(0, row - 2);
-    const maxRow = Math.min(gridHeight - 1, row + 2);
+    // Check neighboring cells within the radius (5x5 for a fixed radius). Radii
+    // smaller than the cells still check the cells around this one
+    const reach = Math.max(1, Math.ceil(radius / cellSize));
+    const minCol = Math.max(0, col - reach);
+    const maxCol = Math.min(gridWidth - 1, col + reach);
+    const minRow = Math.max(0, row - reach);
+    const maxRow = Math.min(gridHeight - 1, row + reach);
 
     for (let r = minRow; r <= maxRow; r++) {
       for (let c = minCol; c <= maxCol; c++) {
-        const idx = r * gridWidth + c;
-        const pointIdx = grid[idx];
+        const cell = grid[r * gridWidth + c];
 
-        if (pointIdx !== -1) {
-          const other = points[pointIdx];
-          const dx = other.x - x;
-          const dy = other.y - y;
-          const distSq = dx * dx + dy * dy;
+        if (cell !== undefined) {
+          for (const pointIdx of cell) {
+            const other = points[pointIdx];
+            const dx = other.x - x;
+            const dy = other.y - y;
+            const distSq = dx * dx + dy * dy;
 
-          if (distSq < radius * radius) {
-            return false;
+            if (distSq < radius * radius) {
+              return false;
+            }
           }
         }
       }
@@ -87,31 +123,49 @@ export function poissonDisc(options) {
   const addPoint = (x, y) => {
     const point = { x, y };
     const idx = points.length;
+    const cell = gridIndex(x, y);
     points.push(point);
+    radii.push(radiusAt(x, y));
     active.push(idx);
-    grid[gridIndex(x, y)] = idx;
+    if (grid[cell] === undefined) grid[cell] = [];
+    grid[cell].push(idx);
     return point;
   };
 
   // Generate random point in annulus between radius and 2*radius
-  const randomPointAround = (point) => {
-    const angle = prng() * Math.PI * 2;
-    const r = radius + prng() * radius; // Between radius and 2*radius
+  const randomPointAround = (point, radius) => {
+    const angle = rng() * Math.PI * 2;
+    const r = radius + rng() * radius; // Between radius and 2*radius
     return {
       x: point.x + Math.cos(angle) * r,
       y: point.y + Math.sin(angle) * r
     };
   };
 
-  // Start with a random point
-  const startX = prng() * width;
-  const startY = prng() * height;
-  addPoint(startX, startY);
+  // Pre-seeded points are kept as given (no spacing check), if inside the area
+  for (const point of opts.initialPoints) {
+    if (points.length < maxPoints && inBounds(point.x, point.y)) {
+      yield addPoint(point.x, point.y);
+    }
+  }
+
+  // Otherwise start with a random point (inside the mask, where the radius is positive)
+  if (points.length === 0 && maxPoints > 0) {
+    for (let attempt = 0; attempt < maxAttempts * maxAttempts; attempt++) {
+      const startX = rng() * width;
+      const startY = rng() * height;
+
+      if (isValid(startX, startY)) {
+        yield addPoint(startX, startY);
+        break;
+      }
+    }
+  }
 
   // Process active list
-  while (active.length > 0) {
+  while (active.length > 0 && points.length < maxPoints) {
     // Pick a random active point
-    const activeIdx = Math.floor(prng() * active.length);
+    const activeIdx = Math.floor(rng() * active.length);
     const pointIdx = active[activeIdx];
     const point = points[pointIdx];
 
@@ -119,10 +173,10 @@ export function poissonDisc(options) {
 
     // Try to find a valid point around it
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const candidate = randomPointAround(point);
+      const candidate = randomPointAround(point, radii[pointIdx]);
 
       if (isValid(candidate.x, candidate.y)) {
-        addPoint(candidate.x, candidate.y);
+        yield addPoint(candidate.x, candidate.y);
         found = true;
         break;
       }
@@ -133,6 +187,136 @@ export function poissonDisc(options) {
       active.splice(activeIdx, 1);
     }
   }
+}
+
+/**
+ * @typedef {Object} PoissonDiscIterator
+ * @property {function(): {value: {x: number, y: number}, done: boolean}} next - Accept the next point (iterator protocol)
+ * @property {function(number=): Array<{x: number, y: number}>} step - Accept up to `count` more points (default 1) and return them
+ * @property {function(): void} cancel - Stop sampling; later calls return no points
+ * @property {Array<{x: number, y: number}>} points - All points accepted so far (grows as sampling runs)
+ * @property {boolean} done - True once sampling has finished or been cancelled
+ */
+
+/**
+ * Implementation of `poissonDisc` that draws from the given generator.
+ * Used by `poissonDisc` (shared PRNG) and by `createRandom` instances.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Object} options - Configuration options (see `poissonDisc`)
+ * @returns {Array<{x: number, y: number}>} Array of sample points
+ */
+export function poissonDiscWith(rng, options) {
+  return Array.from(samplePoints(rng, options));
+}
 
-  return points;
+/**
+ * Implementation of `poissonDiscIterator` that draws from the given generator.
+ * Used by `poissonDiscIterator` (shared PRNG) and by `createRandom` instances.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Object} options - Configuration options (see `poissonDisc`)
+ * @returns {PoissonDiscIterator} Iterator over the sample points
+ */
+export function poissonDiscIteratorWith(rng, options) {
+  const generator = samplePoints(rng, options);
+  const points = [];
+  let done = false;
+
+  const next = () => {
+    if (done) return { value: undefined, done: true };
+
+    const result = generator.next();
+
+    if (result.done) {
+      done = true;
+    } else {
+      points.push(result.value);
+    }
+
+    return result;
+  };
+
+  return {
+    next,
+    step(count = 1) {
+      const added = [];
+
+      while (added.length < count) {
+        const result = next();
+        if (result.done) break;
+        added.push(result.value);
+      }
+
+      return added;
+    },
+    cancel() {
+      done = true;
+      generator.return();
+    },
+    points,
+    get done() {
+      return done;
+    },
+    [Symbol.iterator]() {
+      return this;
+    }
+  };
+}
+
+/**
+ * Generate evenly-distributed points using Poisson disc sampling.
+ * Uses Bridson's algorithm for O(n) performance.
+ *
+ * `radius` may be a function of position for variable density: each new point
+ * keeps at least `radius(x, y)` (evaluated at the new point) from all others.
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} options.width - Width of the sampling area
+ * @param {number} options.height - Height of the sampling area
+ * @param {number|function(number, number): number} options.radius - Minimum distance between points, or a function returning it at a position
+ * @param {number} [options.maxAttempts=30] - Attempts to place each new point
+ * @param {Array<{x: number, y: number}>|function(number, number): boolean} [options.mask] - Polygon or predicate restricting where points may be placed
+ * @param {Array<{x: number, y: number}>} [options.initialPoints=[]] - Points to start from, kept as given (points outside the area are skipped)
+ * @param {number} [options.maxPoints=Infinity] - Stop once this many points (including initial points) exist
+ * @returns {Array<{x: number, y: number}>} Array of sample points
+ * @example
+ * // Dense near the center, sparse at the edges, inside a hexagon
+ * const points = poissonDisc({
+ *   width: 400,
+ *   height: 400,
+ *   radius: (x, y) => 4 + Math.hypot(x - 200, y - 200) / 10,
+ *   mask: polygon({ sides: 6, radius: 190, cx: 200, cy: 200 })
+ * })
+ */
+export function poissonDisc(options) {
+  return poissonDiscWith(prng, options);
+}
+
+/**
+ * Run Poisson disc sampling incrementally, accepting points on demand.
+ * Takes the same options as `poissonDisc` and produces the same points in the
+ * same order, but only does work when asked, so large fills can be animated
+ * or cancelled without blocking the page.
+ *
+ * The iterator draws from the shared PRNG as it runs. For the exact batch
+ * sequence, avoid other shared-PRNG calls while it runs, or use a
+ * `createRandom` instance's `poissonDiscIterator`.
+ *
+ * @param {Object} options - Configuration options (see `poissonDisc`)
+ * @returns {PoissonDiscIterator} Iterator over the sample points
+ * @example
+ * const sampler = poissonDiscIterator({ width: 800, height: 800, radius: 4 })
+ *
+ * function frame() {
+ *   sampler.step(50).forEach(p => svg.circle(3).center(p.x, p.y))
+ *   if (!sampler.done) requestAnimationFrame(frame)
+ * }
+ * frame()
+ *
+ * // Or as a plain iterable
+ * for (const point of poissonDiscIterator({ width: 400, height: 400, radius: 20 })) { ... }
+ */
+export function poissonDiscIterator(options) {
+  return poissonDiscIteratorWith(prng, options);
 }
@@ -0,0 +1,217 @@
+import ClipperLib from 'clipper-lib';
+import { polygonArea } from './polygonMeasure.js';
+import { toPoint } from './toPoint.js';
+
+const { ClipType, PolyType, PolyFillType } = ClipperLib;
+
+// Clipper works on integers, so coordinates are scaled up and rounded. Past
+// `loRange` it switches to big-integer math, which is many times slower, so
+// larger shapes trade some precision for staying below it
+const MAX_SCALE = 1e6;
+const FAST_RANGE = ClipperLib.ClipperBase.loRange;
+
+const FILL_RULES = { nonzero: PolyFillType.pftNonZero, positive: PolyFillType.pftPositive };
+
+function isPoint(value) {
+  if (Array.isArray(value)) return typeof value[0] === 'number';
+  return value !== null && typeof value === 'object' && 'x' in value;
+}
+
+// Normalize a ring, polygon with holes or list of polygons to a list of [outer, ...holes] of {x, y} points
+function toPolygons(shape) {
+  if (!shape || shape.length === 0) return [];
+
+  if (isPoint(shape[0])) return [[shape.map(toPoint)]];
+
+  if (isPoint(shape[0][0])) return [shape.map((ring) => ring.map(toPoint))];
+
+  return shape.map((polygon) => polygon.map((ring) => ring.map(toPoint)));
+}
+
+// Converts rings to Clipper paths and back. Vertices that come through an
+// operation unchanged keep their exact input coordinates
+function createConverter(rings) {
+  let extent = 1;
+
+  rings.forEach((ring) =>
+    ring.forEach((p) => {
+      extent = Math.max(extent, Math.abs(p.x), Math.abs(p.y));
+    })
+  );
+
+  const scale = Math.min(MAX_SCALE, 10 ** Math.floor(Math.log10(FAST_RANGE / extent)));
+  const vertices = new Map();
+
+  const toPath = (ring) =>
+    ring.map((p) => {
+      const X = Math.round(p.x * scale);
+      const Y = Math.round(p.y * scale);
+
+      vertices.set(X + ',' + Y, p);
+      return { X, Y };
+    });
+
+  const toRing = (path) =>
+    path.map(({ X, Y }) => {
+      const p = vertices.get(X + ',' + Y);
+      return p ? { x: p.x, y: p.y } : { x: X / scale, y: Y / scale };
+    });
+
+  // Outer rings wind positive and holes negative, like polygonArea reports them
+  const orient = (ring, positive) => ((polygonArea(ring) > 0) === positive ? ring : ring.reverse());
+
+  const toPolygons = (tree) => {
+    const polygons = [];
+
+    const addOuter = (node) => {
+      const holes = node.Childs();
+
+      polygons.push([
+        orient(toRing(node.Contour()), true),
+        ...holes.map((hole) => orient(toRing(hole.Contour()), false))
+      ]);
+      holes.forEach((hole) => hole.Childs().forEach(addOuter));
+    };
+
+    tree.Childs().forEach(addOuter);
+
+    return polygons;
+  };
+
+  return { toPath, toPolygons };
+}
+
+// Run one Clipper operation, returning paths, or a PolyTree when `asTree` is set
+function execute(clipType, subject, clip, fillType, asTree) {
+  const clipper = new ClipperLib.Clipper();
+  const solution = asTree ? new ClipperLib.PolyTree() : new ClipperLib.Paths();
+
+  clipper.AddPaths(subject, PolyType.ptSubject, true);
+  clipper.AddPaths(clip, PolyType.ptClip, true);
+  clipper.Execute(clipType, solution, fillType, fillType);
+
+  return solution;
+}
+
+// Paths covering a shape's area: each polygon is its outer ring minus its holes
+function shapePaths(polygons, converter) {
+  const paths = [];
+
+  polygons.forEach(([outer, ...holes]) => {
+    if (holes.length === 0) {
+      paths.push(converter.toPath(outer));
+      return;
+    }
+
+    const { ctDifference } = ClipType;
+    paths.push(...execute(ctDifference, [converter.toPath(outer)], holes.map(converter.toPath), PolyFillType.pftNonZero));
+  });
+
+  return paths;
+}
+
+function run(clipType, shapes) {
+  if (shapes.length === 0) return [];
+
+  const { pftNonZero } = PolyFillType;
+  const polygons = shapes.map(toPolygons);
+  const converter = createConverter(polygons.flat(2));
+  const [first, ...rest] = polygons.map((shape) => shapePaths(shape, converter));
+
+  // Clipper merges the paths on each side under the fill rule, so the shapes
+  // go in as they are, one operation per shape after the first
+  if (rest.length === 0) return converter.toPolygons(execute(ClipType.ctUnion, first, [], pftNonZero, true));
+
+  let paths = first;
+
+  rest.forEach((next, i) => {
+    paths = execute(clipType, paths, next, pftNonZero, i === rest.length - 1);
+  });
+
+  return converter.toPolygons(paths);
+}
+
+/**
+ * Union raw rings under a fill rule, as `[outer, ...holes]` polygons.
+ * `offsetPolygon` uses the 'positive' rule to drop the loops its offset contours form.
+ *
+ * @param {Array<Array<{x: number, y: number}>>} rings - Rings to merge
+ * @param {string} [fillRule='nonzero'] - 'nonzero' or 'positive'
+ * @returns {Array<Array<Array<{x: number, y: number}>>>} List of polygons, each `[outer, ...holes]`
+ */
+export function unionRings(rings, fillRule = 'nonzero') {
+  const converter = createConverter(rings);
+  const tree = execute(ClipType.ctUnion, rings.map(converter.toPath), [], FILL_RULES[fillRule], true);
+
+  return converter.toPolygons(tree);
+}
+
+/**
+ * Combine shapes into their union (the area covered by any of them).
+ *
+ * Each shape can be a ring of points, a polygon with holes (`[outer, ...holes]`)
+ * or a list of such polygons, with points as `{x, y}` or `[x, y]`.
+ *
+ * @param {...Array} shapes - Shapes to combine
+ * @returns {Array<Array<Array<{x: number, y: number}>>>} List of polygons, each `[outer, ...holes]`
+ * @example
+ * const blob = polygonUnion(
+ *   polygon({ sides: 6, radius: 80, cx: 150, cy: 200 }),
+ *   polygon({ sides: 6, radius: 80, cx: 250, cy: 200 })
+ * )
+ * blob.forEach(rings => svg.path(rings.map(ring => pointsToPath(ring)).join('')))
+ */
+export function polygonUnion(...shapes) {
+  return run(ClipType.ctUnion, shapes);
+}
+
+/**
+ * Find the intersection of shapes (the area covered by all of them).
+ *
+ * Accepts the same shape forms as `polygonUnion`.
+ *
+ * @param {...Array} shapes - Shapes to intersect
+ * @returns {Array<Array<Array<{x: number, y: number}>>>} List of polygons, each `[outer, ...holes]`
+ * @example
+ * // Clip a Voronoi cell to a circle-like shape
+ * const clipped = polygonIntersection(cell.points, polygon({ sides: 64, radius: 180, cx: 200, cy: 200 }))
+ */
+export function polygonIntersection(...shapes) {
+  return run(ClipType.ctIntersection, shapes);
+}
+
+/**
+ * Subtract shapes from the first shape.
+ *
+ * Accepts the same shape forms as `polygonUnion`.
+ *
+ * @param {Array} subject - Shape to subtract from
+ * @param {...Array} clips - Shapes to remove from the subject
+ * @returns {Array<Array<Array<{x: number, y: number}>>>} List of polygons, each `[outer, ...holes]`
+ * @example
+ * // A square with a star-shaped hole
+ * const frame = polygonDifference(
+ *   [{ x: 0, y: 0 }, { x: 400, y: 0 }, { x: 400, y: 400 }, { x: 0, y: 400 }],
+ *   star({ points: 5, outerRadius: 150, innerRadius: 60, cx: 200, cy: 200 })
+ * )
+ */
+export function polygonDifference(subject, ...clips) {
+  return run(ClipType.ctDifference, [subject, ...clips]);
+}
+
+/**
+ * Find the area covered by an odd number of shapes (exclusive or).
+ *
+ * Accepts the same shape forms as `polygonUnion`.
+ *
+ * @param {...Array} shapes - Shapes to combine
+ * @returns {Array<Array<Array<{x: number, y: number}>>>} List of polygons, each `[outer, ...holes]`
+ * @example
+ * const pattern = polygonXor(
+ *   polygon({ sides: 4, radius: 120, cx: 200, cy: 200 }),
+ *   polygon({ sides: 4, radius: 120, cx: 200, cy: 200, rotation: Math.PI / 4 })
+ * )
+ */
+export function polygonXor(...shapes) {
+  return run(ClipType.ctXor, shapes);
+}
@@ -0,0 +1,418 @@
+import { distToSegmentSquared, closestPointOnSegment } from './distToSegment.js';
+import { toPoint } from './toPoint.js';
+
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+/**
+ * Calculate the signed area of a polygon (shoelace formula).
+ *
+ * In SVG's y-down coordinates the area is positive for clockwise polygons and
+ * negative for counterclockwise ones. Use `Math.abs` for the plain area.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Polygon vertices
+ * @returns {number} Signed area
+ * @example
+ * polygonArea([[0, 0], [10, 0], [10, 10], [0, 10]]) // Returns 100
+ */
+export function polygonArea(points) {
+  const pts = points.map(toPoint);
+  let area = 0;
+
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+
+  return area / 2;
+}
+
+/**
+ * Calculate the centroid (center of mass) of a polygon.
+ * Falls back to the average of the vertices for polygons with no area.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Polygon vertices
+ * @returns {{x: number, y: number}} Centroid
+ * @example
+ * polygonCentroid([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }]) // { x: 5, y: 5 }
+ */
+export function polygonCentroid(points) {
+  const pts = points.map(toPoint);
+  let x = 0;
+  let y = 0;
+  let k = 0;
+  let b = pts[pts.length - 1];
+
+  for (let i = 0; i < pts.length; i++) {
+    const a = b;
+    b = pts[i];
+    const c = a.x * b.y - b.x * a.y;
+    k += c;
+    x += (a.x + b.x) * c;
+    y += (a.y + b.y) * c;
+  }
+
+  if (k === 0) {
+    return {
+      x: pts.reduce((sum, p) => sum + p.x, 0) / pts.length,
+      y: pts.reduce((sum, p) => sum + p.y, 0) / pts.length
+    };
+  }
+
+  k *= 3;
+
+  return { x: x / k, y: y / k };
+}
+
+/**
+ * Calculate the perimeter of a polygon, or the length of a polyline.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Vertices
+ * @param {boolean} [closed=true] - Include the edge from the last point back to the first
+ * @returns {number} Total edge length
+ * @example
+ * polygonPerimeter([[0, 0], [10, 0], [10, 10], [0, 10]]) // Returns 40
+ */
+export function polygonPerimeter(points, closed = true) {
+  const pts = points.map(toPoint);
+  const edges = closed ? pts.length : pts.length - 1;
+  let length = 0;
+
+  for (let i = 0; i < edges; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    length += Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+  }
+
+  return length;
+}
+
+/**
+ * Calculate the axis-aligned bounding box of a set of points.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Points
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number, width: number, height: number}} Bounding box
+ * @example
+ * const { minX, minY, width, height } = polygonBounds(shape)
+ * svg.rect(width, height).move(minX, minY)
+ */
+export function polygonBounds(points) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  points.map(toPoint).forEach(({ x, y }) => {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  });
+
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Get the winding order of a polygon as it appears on screen (y-down, as in SVG).
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Polygon vertices
+ * @returns {string} 'clockwise', 'counterclockwise', or 'none' for polygons with no area
+ * @example
+ * polygonWinding([[0, 0], [10, 0], [10, 10]]) // 'clockwise'
+ */
+export function polygonWinding(points) {
+  const area = polygonArea(points);
+
+  if (area > 0) return 'clockwise';
+  if (area < 0) return 'counterclockwise';
+  return 'none';
+}
+
+/**
+ * Test whether a point lies inside a polygon.
+ *
+ * The fill rule matters for self-intersecting polygons: 'evenodd' treats
+ * regions covered an even number of times as outside, 'nonzero' treats every
+ * enclosed region as inside. They match SVG's `fill-rule` values.
+ *
+ * @param {{x: number, y: number}|[number, number]} point - Point to test
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Polygon vertices
+ * @param {string} [rule='evenodd'] - Fill rule: 'evenodd' or 'nonzero'
+ * @returns {boolean} True if the point is inside
+ * @example
+ * const hexagon = polygon({ sides: 6, radius: 100, cx: 200, cy: 200 })
+ * pointInPolygon({ x: 210, y: 190 }, hexagon) // true
+ */
+export function pointInPolygon(point, points, rule = 'evenodd') {
+  const { x, y } = toPoint(point);
+  const pts = points.map(toPoint);
+  let crossings = 0;
+  let winding = 0;
+
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[j];
+    const b = pts[i];
+
+    if (a.y > y !== b.y > y) {
+      // x where the edge crosses the horizontal line through the point
+      if (x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+        crossings++;
+        winding += b.y > a.y ? 1 : -1;
+      }
+    }
+  }
+
+  return rule === 'nonzero' ? winding !== 0 : crossings % 2 === 1;
+}
+
+/**
+ * Calculate the convex hull of a set of points (Andrew's monotone chain).
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Points
+ * @returns {Array<{x: number, y: number}>} Hull vertices in order, without collinear points
+ * @example
+ * const hull = convexHull(poissonDisc({ width: 400, height: 400, radius: 30 }))
+ * svg.path(pointsToPath(hull)).fill('none').stroke('#000')
+ */
+export function convexHull(points) {
+  const pts = points.map(toPoint).sort((a, b) => a.x - b.x || a.y - b.y);
+
+  if (pts.length < 3) return pts;
+
+  const lower = [];
+
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+      lower.pop();
+    }
+    lower.push(p);
+  }
+
+  const upper = [];
+
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+      upper.pop();
+    }
+    upper.push(p);
+  }
+
+  // The last point of each chain is the first point of the other
+  lower.pop();
+  upper.pop();
+
+  return lower.concat(upper);
+}
+
+/**
+ * Test whether a polygon is convex. Collinear and repeated vertices are
+ * allowed; self-intersecting polygons are never convex.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Polygon vertices
+ * @returns {boolean} True if the polygon is convex
+ * @example
+ * isConvex(polygon({ sides: 6, radius: 50 })) // true
+ * isConvex(star({ points: 5, outerRadius: 50, innerRadius: 20 })) // false
+ */
+export function isConvex(points) {
+  // Drop repeated points, including a closing point equal to the first
+  const pts = points.map(toPoint).filter((p, i, all) => {
+    const prev = all[(i - 1 + all.length) % all.length];
+    return p.x !== prev.x || p.y !== prev.y;
+  });
+
+  if (pts.length < 3) return false;
+
+  let sign = 0;
+  let turning = 0;
+
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    const c = pts[(i + 2) % pts.length];
+    const turn = cross(a, b, c);
+
+    if (turn !== 0) {
+      if (sign === 0) sign = Math.sign(turn);
+      else if (Math.sign(turn) !== sign) return false;
+    }
+
+    const dot = (b.x - a.x) * (c.x - b.x) + (b.y - a.y) * (c.y - b.y);
+    turning += Math.atan2(turn, dot);
+  }
+
+  // A simple convex polygon turns exactly once; stars turn more than once
+  return sign !== 0 && Math.abs(Math.abs(turning) - Math.PI * 2) < 1e-6;
+}
+
+/**
+ * Find the point on a polygon's boundary (or a polyline) closest to a given point.
+ *
+ * @param {{x: number, y: number}|[number, number]} point - Point to measure from
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Polygon or polyline vertices
+ * @param {boolean} [closed=true] - Include the edge from the last point back to the first
+ * @returns {{x: number, y: number, distance: number, index: number}|null} Closest point, its distance, and the index of the edge it lies on (edge `i` runs from vertex `i` to `i + 1`), or null if there are no points
+ * @example
+ * const nearest = nearestPointOnPolygon({ x: 200, y: 200 }, cell.points)
+ * svg.line(200, 200, nearest.x, nearest.y)
+ */
+export function nearestPointOnPolygon(point, points, closed = true) {
+  const p = toPoint(point);
+  const pts = points.map(toPoint);
+
+  // A single point acts as a zero-length edge
+  const edges = pts.length === 1 ? 1 : closed ? pts.length : pts.length - 1;
+  let best = -1;
+  let bestDistSq = Infinity;
+
+  for (let i = 0; i < edges; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    const distSq = distToSegmentSquared([p.x, p.y], [a.x, a.y], [b.x, b.y]);
+
+    if (distSq < bestDistSq) {
+      bestDistSq = distSq;
+      best = i;
+    }
+  }
+
+  if (best === -1) return null;
+
+  const a = pts[best];
+  const b = pts[(best + 1) % pts.length];
+  const [x, y] = closestPointOnSegment([p.x, p.y], [a.x, a.y], [b.x, b.y]);
+
+  return { x, y, distance: Math.sqrt(bestDistSq), index: best };
+}
+
+// Distance from a point to the nearest edge of any ring, negative outside the shape
+function signedDistance(x, y, rings) {
+  let inside = false;
+  let minDistSq = Infinity;
+
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[j];
+      const b = ring[i];
+
+      if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+
+      minDistSq = Math.min(minDistSq, distToSegmentSquared([x, y], [a.x, a.y], [b.x, b.y]));
+    }
+  }
+
+  return (inside ? 1 : -1) * Math.sqrt(minDistSq);
+}
+
+/**
+ * Find the pole of inaccessibility of a polygon: the point inside it that is
+ * farthest from its edges, and the center of the largest circle that fits
+ * inside. Unlike the centroid, it always lies inside, even for concave and
+ * elongated shapes. Uses the polylabel algorithm (grid subdivision with a
+ * priority queue).
+ *
+ * @param {Array} points - Polygon vertices, or an array of rings `[outer, ...holes]`
+ * @param {number} [precision] - How close to the true pole the result must be. Defaults to 1/1000 of the polygon's larger side
+ * @returns {{x: number, y: number, distance: number}|null} The pole and its distance to the nearest edge (the radius of the largest inscribed circle), or null if there are no points
+ * @example
+ * const { x, y, distance } = poleOfInaccessibility(star({ points: 5, outerRadius: 100, innerRadius: 40 }))
+ * svg.circle(distance * 2).center(x, y)
+ */
+export function poleOfInaccessibility(points, precision) {
+  const isRingList = points.length > 0 && Array.isArray(points[0]) && typeof points[0][0] !== 'number';
+  const rings = (isRingList ? points : [points]).map((ring) => ring.map(toPoint));
+  const outer = rings[0];
+
+  if (!outer || outer.length === 0) return null;
+
+  const { minX, minY, width, height } = polygonBounds(outer);
+  const cellSize = Math.min(width, height);
+  const tolerance = precision > 0 ? precision : Math.max(width, height) / 1000;
+
+  // Shapes with no area have no inside; fall back to the first vertex
+  if (cellSize === 0) return { x: outer[0].x, y: outer[0].y, distance: 0 };
+
+  const makeCell = (x, y, half) => {
+    const distance = signedDistance(x, y, rings);
+    // No point in the cell can be farther from the edges than this
+    return { x, y, half, distance, potential: distance + half * Math.SQRT2 };
+  };
+
+  // Binary max-heap of cells ordered by potential
+  const heap = [];
+
+  const push = (cell) => {
+    heap.push(cell);
+    let i = heap.length - 1;
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].potential >= heap[i].potential) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let largest = i;
+
+        if (left < heap.length && heap[left].potential > heap[largest].potential) largest = left;
+        if (right < heap.length && heap[right].potential > heap[largest].potential) largest = right;
+        if (largest === i) break;
+
+        [heap[largest], heap[i]] = [heap[i], heap[largest]];
+        i = largest;
+      }
+    }
+
+    return top;
+  };
+
+  // Cover the bounding box with square cells
+  const half = cellSize / 2;
+
+  for (let x = minX; x < minX + width; x += cellSize) {
+    for (let y = minY; y < minY + height; y += cellSize) {
+      push(makeCell(x + half, y + half, half));
+    }
+  }
+
+  // Start from the better of the centroid and the center of the bounding box
+  const centroid = polygonCentroid(outer);
+  let best = makeCell(centroid.x, centroid.y, 0);
+  const center = makeCell(minX + width / 2, minY + height / 2, 0);
+
+  if (center.distance > best.distance) best = center;
+
+  while (heap.length > 0) {
+    const cell = pop();
+
+    if (cell.distance > best.distance) best = cell;
+
+    // Stop splitting cells that can't beat the best by more than the tolerance
+    if (cell.potential - best.distance <= tolerance) continue;
+
+    const quarter = cell.half / 2;
+    push(makeCell(cell.x - quarter, cell.y - quarter, quarter));
+    push(makeCell(cell.x + quarter, cell.y - quarter, quarter));
+    push(makeCell(cell.x - quarter, cell.y + quarter, quarter));
+    push(makeCell(cell.x + quarter, cell.y + quarter, quarter));
+  }
+
+  return { x: best.x, y: best.y, distance: Math.max(0, best.distance) };
+}
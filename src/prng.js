@@ -1,24 +1,89 @@
 import seedrandom from "seedrandom";
 
+/**
+ * @typedef {Object} PRNGState
+ * @property {string|number} seed - Seed the stream was created from (used by forks)
+ * @property {Object} state - Internal generator state (plain, JSON-serializable)
+ */
+
+/**
+ * Generate a seed for streams that were not given one.
+ * @returns {string}
+ */
+function autoSeed() {
+  return seedrandom()().toString(36).slice(2);
+}
+
+/**
+ * Derive the seed of a labelled child stream.
+ * @param {string|number} seed - Parent seed
+ * @param {string|number} label - Child label
+ * @returns {string}
+ */
+function forkSeed(seed, label) {
+  return `${seed}:${label}`;
+}
+
+/**
+ * Seed the shared stream was created from.
+ * @type {string|number}
+ */
+let prngSeed = autoSeed();
+
 /**
  * Pseudo-random number generator instance.
  * Use seedPRNG() to seed it for reproducible results.
  * @type {function(): number}
  */
-let prng = seedrandom();
+let prng = seedrandom(prngSeed, { state: true });
 
 /**
  * Seed the pseudo-random number generator for reproducible randomness.
  * All random functions in this library use this shared PRNG.
  *
- * @param {string|number} seed - The seed value
+ * @param {string|number} [seed] - The seed value. Without one, a fresh random seed is used
  * @returns {void}
  * @example
  * seedPRNG('my-seed')
  * random(0, 100) // Always returns the same sequence for 'my-seed'
  */
 function seedPRNG(seed) {
-  prng = seedrandom(seed);
+  prngSeed = seed === undefined ? autoSeed() : seed;
+  prng = seedrandom(prngSeed, { state: true });
+}
+
+/**
+ * Capture the current state of the shared PRNG.
+ * Pass the result to setPRNGState() to resume the sequence from this point.
+ *
+ * @returns {PRNGState} A snapshot of the shared PRNG
+ * @example
+ * const saved = getPRNGState()
+ * random(0, 100) // 42.1
+ * setPRNGState(saved)
+ * random(0, 100) // 42.1 again
+ */
+function getPRNGState() {
+  return { seed: prngSeed, state: prng.state() };
+}
+
+/**
+ * Restore the shared PRNG to a state captured with getPRNGState().
+ *
+ * @param {PRNGState} snapshot - A snapshot returned by getPRNGState()
+ * @returns {void}
+ */
+function setPRNGState(snapshot) {
+  prngSeed = snapshot.seed;
+  prng = seedrandom("", { state: snapshot.state });
 }
 
-export { prng, seedPRNG };
+export {
+  prng,
+  prngSeed,
+  seedPRNG,
+  getPRNGState,
+  setPRNGState,
+  autoSeed,
+  forkSeed,
+};
@@ -1,5 +1,25 @@
 import { prng } from "./prng";
 
+/**
+ * Implementation of `random` that draws from the given generator.
+ * Used by `random` (shared PRNG) and by `createRandom` instances.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number|Array} minOrArray - Minimum value (inclusive), or an array to pick from
+ * @param {number} [max] - Maximum value (inclusive) when minOrArray is a number
+ * @param {boolean} [toInteger=false] - If true, returns an integer instead of float
+ * @returns {number|*} Random number in range, or random array element
+ */
+function randomWith(rng, minOrArray, max, toInteger = false) {
+  if (Array.isArray(minOrArray)) {
+    return minOrArray[randomWith(rng, 0, minOrArray.length - 1, true)];
+  }
+
+  const val = rng() * (max - minOrArray) + minOrArray;
+
+  return toInteger ? Math.round(val) : val;
+}
+
 /**
  * Generate a random number within a range, or pick a random element from an array.
  *
@@ -13,13 +33,7 @@ import { prng } from "./prng";
  * random(['a', 'b'])   // Returns 'a' or 'b'
  */
 function random(minOrArray, max, toInteger = false) {
-  if (Array.isArray(minOrArray)) {
-    return minOrArray[random(0, minOrArray.length - 1, true)];
-  }
-
-  const val = prng() * (max - minOrArray) + minOrArray;
-
-  return toInteger ? Math.round(val) : val;
+  return randomWith(prng, minOrArray, max, toInteger);
 }
 
-export { random };
+export { random, randomWith };
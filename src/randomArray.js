@@ -0,0 +1,214 @@
+import { prng } from "./prng.js";
+
+/**
+ * Implementation of `shuffleInPlace` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Array} array - Array to shuffle (modified)
+ * @returns {Array} The same array, shuffled
+ */
+function shuffleInPlaceWith(rng, array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    const tmp = array[i];
+    array[i] = array[j];
+    array[j] = tmp;
+  }
+
+  return array;
+}
+
+/**
+ * Implementation of `shuffle` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Array} array - Array to shuffle (not modified)
+ * @returns {Array} A shuffled copy of the array
+ */
+function shuffleWith(rng, array) {
+  return shuffleInPlaceWith(rng, array.slice());
+}
+
+/**
+ * Implementation of `sample` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Array} array - Array to sample from (not modified)
+ * @param {number} n - Number of elements to pick
+ * @returns {Array} Up to n distinct elements, in random order
+ */
+function sampleWith(rng, array, n) {
+  const copy = array.slice();
+  const count = Math.max(0, Math.min(Math.floor(n), copy.length));
+
+  // Partial Fisher–Yates: only shuffle the first `count` slots
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(rng() * (copy.length - i));
+    const tmp = copy[i];
+    copy[i] = copy[j];
+    copy[j] = tmp;
+  }
+
+  return copy.slice(0, count);
+}
+
+/**
+ * Implementation of `weightedPick` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Array} items - Items to pick from
+ * @param {number[]} weights - Relative weight of each item (>= 0)
+ * @returns {*} The picked item, or undefined if all weights are zero
+ */
+function weightedPickWith(rng, items, weights) {
+  let total = 0;
+
+  for (let i = 0; i < items.length; i++) {
+    total += weights[i];
+  }
+
+  if (!(total > 0)) return undefined;
+
+  let r = rng() * total;
+
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+
+    if (r < 0) return items[i];
+  }
+
+  // Floating point rounding can leave r at ~0; fall back to the last weighted item
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (weights[i] > 0) return items[i];
+  }
+}
+
+/**
+ * Implementation of `createWeightedSampler` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {Array} items - Items to pick from
+ * @param {number[]} weights - Relative weight of each item (>= 0)
+ * @returns {function(): *} Function that returns a weighted random item
+ */
+function createWeightedSamplerWith(rng, items, weights) {
+  const n = items.length;
+  const probability = new Array(n).fill(0);
+  const alias = new Array(n).fill(0);
+
+  let total = 0;
+
+  for (let i = 0; i < n; i++) {
+    total += weights[i];
+  }
+
+  if (!(total > 0)) return () => undefined;
+
+  // Vose's alias method: split the scaled weights into under- and over-full columns
+  const scaled = weights.slice(0, n).map((w) => (w * n) / total);
+  const small = [];
+  const large = [];
+
+  scaled.forEach((p, i) => (p < 1 ? small : large).push(i));
+
+  while (small.length > 0 && large.length > 0) {
+    const s = small.pop();
+    const l = large.pop();
+
+    probability[s] = scaled[s];
+    alias[s] = l;
+
+    scaled[l] = scaled[l] + scaled[s] - 1;
+    (scaled[l] < 1 ? small : large).push(l);
+  }
+
+  // Whatever is left is full (up to rounding error)
+  large.forEach((i) => (probability[i] = 1));
+  small.forEach((i) => (probability[i] = 1));
+
+  return function () {
+    const column = Math.floor(rng() * n);
+
+    return rng() < probability[column] ? items[column] : items[alias[column]];
+  };
+}
+
+/**
+ * Shuffle an array in place using the Fisher–Yates algorithm.
+ *
+ * @param {Array} array - Array to shuffle (modified)
+ * @returns {Array} The same array, shuffled
+ * @example
+ * const order = [0, 1, 2, 3]
+ * shuffleInPlace(order) // order is now e.g. [2, 0, 3, 1]
+ */
+function shuffleInPlace(array) {
+  return shuffleInPlaceWith(prng, array);
+}
+
+/**
+ * Return a shuffled copy of an array using the Fisher–Yates algorithm.
+ *
+ * @param {Array} array - Array to shuffle (not modified)
+ * @returns {Array} A shuffled copy of the array
+ * @example
+ * shuffle(['a', 'b', 'c']) // e.g. ['c', 'a', 'b']
+ */
+function shuffle(array) {
+  return shuffleWith(prng, array);
+}
+
+/**
+ * Pick n distinct elements from an array (sampling without replacement).
+ *
+ * @param {Array} array - Array to sample from (not modified)
+ * @param {number} n - Number of elements to pick (clamped to the array length)
+ * @returns {Array} Up to n distinct elements, in random order
+ * @example
+ * sample(palette, 3) // Three different colors from the palette
+ */
+function sample(array, n) {
+  return sampleWith(prng, array, n);
+}
+
+/**
+ * Pick a random item, with each item's chance proportional to its weight.
+ *
+ * @param {Array} items - Items to pick from
+ * @param {number[]} weights - Relative weight of each item (>= 0)
+ * @returns {*} The picked item, or undefined if all weights are zero
+ * @example
+ * weightedPick(['circle', 'square', 'star'], [6, 3, 1]) // 'circle' 60% of the time
+ */
+function weightedPick(items, weights) {
+  return weightedPickWith(prng, items, weights);
+}
+
+/**
+ * Build a reusable weighted sampler using an alias table.
+ * Setup is O(n); every pick after that is O(1), so this is the better
+ * choice when drawing many times from the same distribution.
+ *
+ * @param {Array} items - Items to pick from
+ * @param {number[]} weights - Relative weight of each item (>= 0)
+ * @returns {function(): *} Function that returns a weighted random item
+ * @example
+ * const pickColor = createWeightedSampler(colors, [5, 3, 1, 1])
+ * cells.forEach(cell => drawCell(cell, pickColor()))
+ */
+function createWeightedSampler(items, weights) {
+  return createWeightedSamplerWith(() => prng(), items, weights);
+}
+
+export {
+  shuffle,
+  shuffleInPlace,
+  sample,
+  weightedPick,
+  createWeightedSampler,
+  shuffleWith,
+  shuffleInPlaceWith,
+  sampleWith,
+  weightedPickWith,
+  createWeightedSamplerWith,
+};
@@ -1,4 +1,22 @@
-import { random } from "./random.js";
+import { prng } from "./prng.js";
+import { randomWith } from "./random.js";
+
+/**
+ * Implementation of `randomBias` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} min - Minimum value (inclusive)
+ * @param {number} max - Maximum value (inclusive)
+ * @param {number} bias - The value to bias toward
+ * @param {number} [influence=0.5] - How strongly to bias toward the bias value (0-1)
+ * @returns {number} A random number biased toward the bias value
+ */
+function randomBiasWith(rng, min, max, bias, influence = 0.5) {
+  const base = randomWith(rng, min, max);
+  const mix = randomWith(rng, 0, 1) * influence;
+
+  return base * (1 - mix) + bias * mix;
+}
 
 /**
  * Generate a biased random number within a range.
@@ -13,10 +31,7 @@ import { random } from "./random.js";
  * randomBias(0, 100, 80, 0.8) // Tends to return values closer to 80
  */
 function randomBias(min, max, bias, influence = 0.5) {
-  const base = random(min, max);
-  const mix = random(0, 1) * influence;
-
-  return base * (1 - mix) + bias * mix;
+  return randomBiasWith(prng, min, max, bias, influence);
 }
 
-export { randomBias };
+export { randomBias, randomBiasWith };
@@ -0,0 +1,431 @@
+import { prng } from "./prng.js";
+
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  x -= 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+
+  for (let i = 1; i < 9; i++) {
+    a += LANCZOS[i] / (x + i);
+  }
+
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// A float in (0, 1], safe to pass to Math.log
+function openUnit(rng) {
+  return 1 - rng();
+}
+
+/**
+ * Implementation of `randomGaussian` that draws from the given generator.
+ * Uses the Box–Muller transform (no cached second value, so the number of
+ * draws per call is always two).
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} [mean=0] - Mean of the distribution
+ * @param {number} [sd=1] - Standard deviation (>= 0)
+ * @returns {number} A normally distributed value
+ * @throws {RangeError} If sd is negative
+ */
+function randomGaussianWith(rng, mean = 0, sd = 1) {
+  if (!(sd >= 0)) {
+    throw new RangeError('randomGaussian: sd must not be negative');
+  }
+
+  const u = openUnit(rng);
+  const v = rng();
+
+  return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Implementation of `randomLogNormal` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} [mu=0] - Mean of the underlying normal distribution
+ * @param {number} [sigma=1] - Standard deviation of the underlying normal distribution (>= 0)
+ * @returns {number} A log-normally distributed value (> 0)
+ * @throws {RangeError} If sigma is negative
+ */
+function randomLogNormalWith(rng, mu = 0, sigma = 1) {
+  if (!(sigma >= 0)) {
+    throw new RangeError('randomLogNormal: sigma must not be negative');
+  }
+
+  return Math.exp(randomGaussianWith(rng, mu, sigma));
+}
+
+/**
+ * Implementation of `randomExponential` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} [lambda=1] - Rate parameter (> 0, mean is 1 / lambda)
+ * @returns {number} An exponentially distributed value (>= 0)
+ * @throws {RangeError} If lambda is not greater than 0
+ */
+function randomExponentialWith(rng, lambda = 1) {
+  if (!(lambda > 0)) {
+    throw new RangeError('randomExponential: lambda must be greater than 0');
+  }
+
+  return -Math.log(openUnit(rng)) / lambda;
+}
+
+/**
+ * Implementation of `randomPoisson` that draws from the given generator.
+ * Uses Knuth's method for small lambda and Hörmann's transformed
+ * rejection (PTRS) for lambda >= 30.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} [lambda=1] - Expected number of events (>= 0)
+ * @returns {number} A Poisson distributed integer (>= 0)
+ * @throws {RangeError} If lambda is negative
+ */
+function randomPoissonWith(rng, lambda = 1) {
+  if (!(lambda >= 0)) {
+    throw new RangeError('randomPoisson: lambda must not be negative');
+  }
+
+  if (lambda === 0) return 0;
+
+  if (lambda < 30) {
+    const limit = Math.exp(-lambda);
+    let k = 0;
+    let p = rng();
+
+    while (p > limit) {
+      k++;
+      p *= rng();
+    }
+
+    return k;
+  }
+
+  const sqrtLambda = Math.sqrt(lambda);
+  const logLambda = Math.log(lambda);
+  const b = 0.931 + 2.53 * sqrtLambda;
+  const a = -0.059 + 0.02483 * b;
+  const invAlpha = 1.1239 + 1.1328 / (b - 3.4);
+  const vr = 0.9277 - 3.6224 / (b - 2);
+
+  for (;;) {
+    const u = rng() - 0.5;
+    const v = rng();
+    const us = 0.5 - Math.abs(u);
+    const k = Math.floor(((2 * a) / us + b) * u + lambda + 0.43);
+
+    if (us >= 0.07 && v <= vr) return k;
+    if (k < 0 || (us < 0.013 && v > us)) continue;
+
+    if (
+      Math.log(v) + Math.log(invAlpha) - Math.log(a / (us * us) + b) <=
+      -lambda + k * logLambda - logGamma(k + 1)
+    ) {
+      return k;
+    }
+  }
+}
+
+/**
+ * Implementation of `randomGeometric` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} [p=0.5] - Probability of success on each trial (0-1]
+ * @returns {number} Number of trials up to and including the first success (>= 1)
+ * @throws {RangeError} If p is not greater than 0 and no larger than 1
+ */
+function randomGeometricWith(rng, p = 0.5) {
+  if (!(p > 0 && p <= 1)) {
+    throw new RangeError('randomGeometric: p must be greater than 0 and no larger than 1');
+  }
+
+  if (p === 1) return 1;
+
+  return Math.max(1, Math.ceil(Math.log(openUnit(rng)) / Math.log(1 - p)));
+}
+
+/**
+ * Implementation of `randomTriangular` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} [min=0] - Lower limit
+ * @param {number} [max=1] - Upper limit
+ * @param {number} [mode=(min + max) / 2] - Peak of the distribution
+ * @returns {number} A triangularly distributed value between min and max
+ * @throws {RangeError} If mode is not between min and max
+ */
+function randomTriangularWith(rng, min = 0, max = 1, mode = (min + max) / 2) {
+  if (!(min <= mode && mode <= max)) {
+    throw new RangeError('randomTriangular: mode must be between min and max');
+  }
+
+  const u = rng();
+  const range = max - min;
+
+  if (range === 0) return min;
+
+  const split = (mode - min) / range;
+
+  if (u < split) {
+    return min + Math.sqrt(u * range * (mode - min));
+  }
+
+  return max - Math.sqrt((1 - u) * range * (max - mode));
+}
+
+// Marsaglia–Tsang gamma sampler (scale 1), used for beta
+function randomGammaWith(rng, shape) {
+  if (shape < 1) {
+    return randomGammaWith(rng, shape + 1) * Math.pow(openUnit(rng), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+
+    do {
+      x = randomGaussianWith(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = openUnit(rng);
+
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+/**
+ * Implementation of `randomBeta` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} [alpha=1] - First shape parameter (> 0)
+ * @param {number} [beta=1] - Second shape parameter (> 0)
+ * @returns {number} A beta distributed value between 0 and 1
+ * @throws {RangeError} If alpha or beta is not greater than 0
+ */
+function randomBetaWith(rng, alpha = 1, beta = 1) {
+  if (!(alpha > 0 && beta > 0)) {
+    throw new RangeError('randomBeta: alpha and beta must be greater than 0');
+  }
+
+  const x = randomGammaWith(rng, alpha);
+  const y = randomGammaWith(rng, beta);
+
+  return x / (x + y);
+}
+
+/**
+ * Implementation of `randomPareto` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} [alpha=1] - Shape parameter (> 0, higher = thinner tail)
+ * @param {number} [scale=1] - Minimum possible value (> 0)
+ * @returns {number} A Pareto distributed value (>= scale)
+ * @throws {RangeError} If alpha or scale is not greater than 0
+ */
+function randomParetoWith(rng, alpha = 1, scale = 1) {
+  if (!(alpha > 0 && scale > 0)) {
+    throw new RangeError('randomPareto: alpha and scale must be greater than 0');
+  }
+
+  return scale / Math.pow(openUnit(rng), 1 / alpha);
+}
+
+/**
+ * Implementation of `randomChance` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} [p=0.5] - Probability of returning true (0-1)
+ * @returns {boolean} True with probability p
+ */
+function randomChanceWith(rng, p = 0.5) {
+  return rng() < p;
+}
+
+/**
+ * Implementation of `randomSign` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @returns {number} Either -1 or 1
+ */
+function randomSignWith(rng) {
+  return rng() < 0.5 ? -1 : 1;
+}
+
+/**
+ * Generate a normally distributed random number (bell curve).
+ *
+ * @param {number} [mean=0] - Mean of the distribution
+ * @param {number} [sd=1] - Standard deviation (>= 0)
+ * @returns {number} A normally distributed value
+ * @throws {RangeError} If sd is negative
+ * @example
+ * randomGaussian(200, 40) // Mostly between 120 and 280, centered on 200
+ */
+function randomGaussian(mean = 0, sd = 1) {
+  return randomGaussianWith(prng, mean, sd);
+}
+
+/**
+ * Generate a log-normally distributed random number.
+ * Useful for sizes: many small values with an occasional large one.
+ *
+ * @param {number} [mu=0] - Mean of the underlying normal distribution
+ * @param {number} [sigma=1] - Standard deviation of the underlying normal distribution (>= 0)
+ * @returns {number} A log-normally distributed value (> 0)
+ * @throws {RangeError} If sigma is negative
+ * @example
+ * randomLogNormal(2, 0.5) // Median of e^2 (~7.4), skewed toward larger values
+ */
+function randomLogNormal(mu = 0, sigma = 1) {
+  return randomLogNormalWith(prng, mu, sigma);
+}
+
+/**
+ * Generate an exponentially distributed random number.
+ * Models the gap between independent events.
+ *
+ * @param {number} [lambda=1] - Rate parameter (> 0, mean is 1 / lambda)
+ * @returns {number} An exponentially distributed value (>= 0)
+ * @throws {RangeError} If lambda is not greater than 0
+ * @example
+ * randomExponential(0.1) // Mean of 10
+ */
+function randomExponential(lambda = 1) {
+  return randomExponentialWith(prng, lambda);
+}
+
+/**
+ * Generate a Poisson distributed random integer.
+ * Models the number of events in a fixed interval.
+ *
+ * @param {number} [lambda=1] - Expected number of events (>= 0)
+ * @returns {number} A Poisson distributed integer (>= 0)
+ * @throws {RangeError} If lambda is negative
+ * @example
+ * randomPoisson(4) // Usually 2-6, occasionally 0 or 10
+ */
+function randomPoisson(lambda = 1) {
+  return randomPoissonWith(prng, lambda);
+}
+
+/**
+ * Generate a geometrically distributed random integer.
+ * Counts the trials needed to get the first success.
+ *
+ * @param {number} [p=0.5] - Probability of success on each trial (0-1]
+ * @returns {number} Number of trials up to and including the first success (>= 1)
+ * @throws {RangeError} If p is not greater than 0 and no larger than 1
+ * @example
+ * randomGeometric(0.3) // Mean of 1 / 0.3 (~3.3)
+ */
+function randomGeometric(p = 0.5) {
+  return randomGeometricWith(prng, p);
+}
+
+/**
+ * Generate a triangularly distributed random number.
+ *
+ * @param {number} [min=0] - Lower limit
+ * @param {number} [max=1] - Upper limit
+ * @param {number} [mode=(min + max) / 2] - Peak of the distribution
+ * @returns {number} A triangularly distributed value between min and max
+ * @throws {RangeError} If mode is not between min and max
+ * @example
+ * randomTriangular(0, 100, 80) // Most likely near 80
+ */
+function randomTriangular(min = 0, max = 1, mode = (min + max) / 2) {
+  return randomTriangularWith(prng, min, max, mode);
+}
+
+/**
+ * Generate a beta distributed random number between 0 and 1.
+ *
+ * @param {number} [alpha=1] - First shape parameter (> 0)
+ * @param {number} [beta=1] - Second shape parameter (> 0)
+ * @returns {number} A beta distributed value between 0 and 1
+ * @throws {RangeError} If alpha or beta is not greater than 0
+ * @example
+ * randomBeta(2, 5)     // Skewed toward 0
+ * randomBeta(0.5, 0.5) // U-shaped, values pile up near 0 and 1
+ */
+function randomBeta(alpha = 1, beta = 1) {
+  return randomBetaWith(prng, alpha, beta);
+}
+
+/**
+ * Generate a Pareto distributed random number (power law).
+ *
+ * @param {number} [alpha=1] - Shape parameter (> 0, higher = thinner tail)
+ * @param {number} [scale=1] - Minimum possible value (> 0)
+ * @returns {number} A Pareto distributed value (>= scale)
+ * @throws {RangeError} If alpha or scale is not greater than 0
+ * @example
+ * randomPareto(3, 5) // At least 5, rarely much larger
+ */
+function randomPareto(alpha = 1, scale = 1) {
+  return randomParetoWith(prng, alpha, scale);
+}
+
+/**
+ * Return true with a given probability.
+ *
+ * @param {number} [p=0.5] - Probability of returning true (0-1)
+ * @returns {boolean} True with probability p
+ * @example
+ * if (randomChance(0.1)) drawAccent() // 10% of the time
+ */
+function randomChance(p = 0.5) {
+  return randomChanceWith(prng, p);
+}
+
+/**
+ * Return -1 or 1 with equal probability.
+ *
+ * @returns {number} Either -1 or 1
+ * @example
+ * const dx = randomSign() * random(5, 10)
+ */
+function randomSign() {
+  return randomSignWith(prng);
+}
+
+export {
+  randomGaussian,
+  randomLogNormal,
+  randomExponential,
+  randomPoisson,
+  randomGeometric,
+  randomTriangular,
+  randomBeta,
+  randomPareto,
+  randomChance,
+  randomSign,
+  randomGaussianWith,
+  randomLogNormalWith,
+  randomExponentialWith,
+  randomPoissonWith,
+  randomGeometricWith,
+  randomTriangularWith,
+  randomBetaWith,
+  randomParetoWith,
+  randomChanceWith,
+  randomSignWith,
+};
@@ -1,4 +1,18 @@
-import { random } from "./random.js";
+import { prng } from "./prng.js";
+import { randomWith } from "./random.js";
+
+/**
+ * Implementation of `randomSnap` that draws from the given generator.
+ *
+ * @param {function(): number} rng - Generator returning floats in [0, 1)
+ * @param {number} min - Minimum value (inclusive)
+ * @param {number} max - Maximum value (inclusive)
+ * @param {number} snapInc - The interval to snap to
+ * @returns {number} A random number snapped to the nearest increment
+ */
+function randomSnapWith(rng, min, max, snapInc) {
+  return Math.round(randomWith(rng, min, max) / snapInc) * snapInc;
+}
 
 /**
  * Generate a random number snapped to the nearest interval.
@@ -11,7 +25,7 @@ import { random } from "./random.js";
  * randomSnap(0, 100, 10) // Returns 0, 10, 20, 30, ... 100
  */
 function randomSnap(min, max, snapInc) {
-  return Math.round(random(min, max) / snapInc) * snapInc;
+  return randomSnapWith(prng, min, max, snapInc);
 }
 
-export { randomSnap };
+export { randomSnap, randomSnapWith };
@@ -0,0 +1,316 @@
+import { distToSegmentSquared } from './distToSegment.js';
+import { toPoint, toPair } from './toPoint.js';
+
+// Area of the triangle abc
+const triangleArea = (a, b, c) => Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+
+// Keep the points between `first` and `last` that stray further than the tolerance
+function douglasPeucker(pts, first, last, toleranceSq, keep) {
+  const stack = [[first, last]];
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let index = -1;
+    let maxDistSq = toleranceSq;
+
+    for (let i = start + 1; i < end; i++) {
+      const distSq = distToSegmentSquared(toPair(pts[i]), toPair(pts[start]), toPair(pts[end]));
+
+      if (distSq > maxDistSq) {
+        index = i;
+        maxDistSq = distSq;
+      }
+    }
+
+    if (index !== -1) {
+      keep[index] = true;
+      stack.push([start, index], [index, end]);
+    }
+  }
+}
+
+/**
+ * Simplify a polyline or polygon with the Ramer–Douglas–Peucker algorithm,
+ * removing vertices that lie within `tolerance` of the simplified line.
+ * Best for keeping a shape's corners exactly where they are.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Vertices
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.tolerance=1] - Maximum distance between the original and simplified lines
+ * @param {boolean} [options.closed=false] - Treat the points as a closed polygon
+ * @returns {Array<{x: number, y: number}>} Remaining vertices, a subset of the input
+ * @example
+ * // Thousands of streamline vertices down to a few dozen
+ * const lines = traceFlowField({ field, width: 400, height: 400, separation: 8 })
+ * const simplified = lines.map(line => simplifyRDP(line, { tolerance: 0.5 }))
+ */
+export function simplifyRDP(points, options) {
+  const { tolerance, closed } = Object.assign({ tolerance: 1, closed: false }, options);
+  const pts = points.map(toPoint);
+
+  if (pts.length < 3) return pts;
+
+  const keep = new Array(pts.length).fill(false);
+  const toleranceSq = tolerance * tolerance;
+
+  keep[0] = true;
+
+  if (closed) {
+    // Split the ring at the vertex furthest from the first one and simplify both halves
+    let far = 1;
+    let farDistSq = -1;
+
+    pts.forEach((p, i) => {
+      const distSq = (p.x - pts[0].x) ** 2 + (p.y - pts[0].y) ** 2;
+      if (distSq > farDistSq) {
+        far = i;
+        farDistSq = distSq;
+      }
+    });
+
+    // The first point repeated at the end closes the ring
+    const ring = pts.concat([pts[0]]);
+
+    keep[far] = true;
+    douglasPeucker(ring, 0, far, toleranceSq, keep);
+    douglasPeucker(ring, far, pts.length, toleranceSq, keep);
+  } else {
+    keep[pts.length - 1] = true;
+    douglasPeucker(pts, 0, pts.length - 1, toleranceSq, keep);
+  }
+
+  return pts.filter((p, i) => keep[i]);
+}
+
+/**
+ * Simplify a polyline or polygon with the Visvalingam–Whyatt algorithm,
+ * repeatedly removing the vertex that forms the smallest triangle with its
+ * neighbours. Removes small wiggles first and keeps the overall shape, which
+ * often looks more natural than `simplifyRDP`.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Vertices
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.minArea=1] - Remove vertices whose triangle is smaller than this area
+ * @param {number} [options.count] - Remove vertices until this many are left instead (overrides minArea)
+ * @param {boolean} [options.closed=false] - Treat the points as a closed polygon
+ * @returns {Array<{x: number, y: number}>} Remaining vertices, a subset of the input
+ * @example
+ * const blob = simplifyVisvalingam(outline, { count: 40, closed: true })
+ */
+export function simplifyVisvalingam(points, options) {
+  const { minArea, count, closed } = Object.assign({ minArea: 1, count: undefined, closed: false }, options);
+  const pts = points.map(toPoint);
+  const n = pts.length;
+  const minCount = Math.max(closed ? 3 : 2, count || 0);
+
+  if (n <= minCount) return pts;
+
+  const prev = pts.map((p, i) => (i === 0 ? (closed ? n - 1 : -1) : i - 1));
+  const next = pts.map((p, i) => (i === n - 1 ? (closed ? 0 : -1) : i + 1));
+  const areas = pts.map((p, i) =>
+    prev[i] === -1 || next[i] === -1 ? Infinity : triangleArea(pts[prev[i]], p, pts[next[i]])
+  );
+
+  // Binary min-heap of [area, index]; stale entries are skipped when popped
+  const heap = [];
+
+  const push = (entry) => {
+    heap.push(entry);
+    let i = heap.length - 1;
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+        if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+        if (smallest === i) break;
+
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  };
+
+  areas.forEach((area, i) => area < Infinity && push([area, i]));
+
+  const removed = new Array(n).fill(false);
+  let remaining = n;
+
+  while (heap.length > 0 && remaining > minCount) {
+    const [area, i] = pop();
+
+    if (removed[i] || area !== areas[i]) continue;
+    if (count === undefined && area >= minArea) break;
+
+    removed[i] = true;
+    remaining--;
+
+    const p = prev[i];
+    const q = next[i];
+    next[p] = q;
+    prev[q] = p;
+
+    // Neighbours never get a smaller area than the vertex just removed
+    [p, q].forEach((j) => {
+      if (prev[j] === -1 || next[j] === -1) return;
+
+      areas[j] = Math.max(area, triangleArea(pts[prev[j]], pts[j], pts[next[j]]));
+      push([areas[j], j]);
+    });
+  }
+
+  return pts.filter((p, i) => !removed[i]);
+}
+
+/**
+ * Smooth a polyline or polygon with Chaikin's corner cutting. Each pass
+ * replaces every corner with two points on its edges, doubling the vertex
+ * count and converging on a smooth curve (a quadratic B-spline).
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Vertices
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.iterations=2] - Number of passes
+ * @param {number} [options.ratio=0.25] - How far along each edge to cut (0-0.5)
+ * @param {boolean} [options.closed=false] - Treat the points as a closed polygon
+ * @returns {Array<{x: number, y: number}>} Smoothed points; open polylines keep their end points
+ * @example
+ * const rounded = smoothChaikin(polygon({ sides: 5, radius: 100 }), { iterations: 4, closed: true })
+ */
+export function smoothChaikin(points, options) {
+  const { iterations, ratio, closed } = Object.assign({ iterations: 2, ratio: 0.25, closed: false }, options);
+  let pts = points.map(toPoint);
+
+  for (let k = 0; k < iterations && pts.length > 2; k++) {
+    const out = closed ? [] : [pts[0]];
+    const edges = closed ? pts.length : pts.length - 1;
+
+    for (let i = 0; i < edges; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % pts.length];
+
+      out.push(
+        { x: a.x + (b.x - a.x) * ratio, y: a.y + (b.y - a.y) * ratio },
+        { x: b.x + (a.x - b.x) * ratio, y: b.y + (a.y - b.y) * ratio }
+      );
+    }
+
+    if (!closed) out.push(pts[pts.length - 1]);
+    pts = out;
+  }
+
+  return pts;
+}
+
+/**
+ * Smooth a polyline or polygon by moving every vertex towards the midpoint
+ * of its neighbours (Laplacian smoothing). Keeps the vertex count, so it
+ * suits jittery input such as hand-drawn strokes.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Vertices
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.iterations=1] - Number of passes
+ * @param {number} [options.strength=0.5] - How far to move towards the neighbours' midpoint each pass (0-1)
+ * @param {boolean} [options.closed=false] - Treat the points as a closed polygon
+ * @returns {Array<{x: number, y: number}>} Smoothed points; open polylines keep their end points
+ * @example
+ * const steady = smoothLaplacian(mousePoints, { iterations: 3 })
+ */
+export function smoothLaplacian(points, options) {
+  const { iterations, strength, closed } = Object.assign({ iterations: 1, strength: 0.5, closed: false }, options);
+  let pts = points.map(toPoint);
+  const n = pts.length;
+
+  if (n < 3) return pts;
+
+  for (let k = 0; k < iterations; k++) {
+    pts = pts.map((p, i) => {
+      if (!closed && (i === 0 || i === n - 1)) return p;
+
+      const a = pts[(i - 1 + n) % n];
+      const b = pts[(i + 1) % n];
+
+      return {
+        x: p.x + ((a.x + b.x) / 2 - p.x) * strength,
+        y: p.y + ((a.y + b.y) / 2 - p.y) * strength
+      };
+    });
+  }
+
+  return pts;
+}
+
+/**
+ * Resample a polyline or polygon to points a fixed distance apart along it.
+ *
+ * @param {Array<{x: number, y: number}|[number, number]>} points - Vertices
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.spacing=5] - Distance between points, measured along the line
+ * @param {boolean} [options.closed=false] - Treat the points as a closed polygon
+ * @returns {Array<{x: number, y: number}>} Evenly spaced points. Open polylines end with their last point, so the final gap may be shorter
+ * @throws {Error} If spacing is not greater than 0
+ * @example
+ * // Dots every 10px along a shape's outline
+ * resamplePolyline(star({ points: 5, outerRadius: 100, innerRadius: 40 }), { spacing: 10, closed: true })
+ */
+export function resamplePolyline(points, options) {
+  const { spacing, closed } = Object.assign({ spacing: 5, closed: false }, options);
+
+  if (!(spacing > 0)) {
+    throw new Error('resamplePolyline: spacing must be greater than 0');
+  }
+
+  const pts = points.map(toPoint);
+
+  if (pts.length < 2) return pts;
+
+  const path = closed ? pts.concat([pts[0]]) : pts;
+  const out = [{ x: pts[0].x, y: pts[0].y }];
+  let carried = 0;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = path[i];
+    const b = path[i + 1];
+    const length = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+    let along = spacing - carried;
+
+    while (along <= length) {
+      const t = along / length;
+      out.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+      along += spacing;
+    }
+
+    carried = length - (along - spacing);
+  }
+
+  const last = path[path.length - 1];
+  const end = out[out.length - 1];
+
+  if (closed) {
+    // Don't repeat the first point at the end of a ring
+    if (out.length > 1 && Math.abs(end.x - last.x) < 1e-9 && Math.abs(end.y - last.y) < 1e-9) out.pop();
+  } else if (end.x !== last.x || end.y !== last.y) {
+    out.push({ x: last.x, y: last.y });
+  }
+
+  return out;
+}
@@ -1,80 +1,269 @@
+import { flattenBezier } from './bezier.js'
+
+// Neighbouring points for every span, repeating the end points of open splines
+function buildSpans(points, close) {
+    const numPoints = points.length
+    const loopLimit = close ? numPoints : numPoints - 1
+    const spans = []
+
+    for (let i = 0; i < loopLimit; i++) {
+        const p0 = points[i === 0 ? (close ? numPoints - 1 : i) : i - 1]
+        const p1 = points[i]
+        const p2 = points[(i + 1) % numPoints]
+        const p3 =
+            points[
+                i + 2 < numPoints ? i + 2 : close ? (i + 2) % numPoints : i + 1
+            ]
+
+        spans.push([p0, p1, p2, p3])
+    }
+
+    return spans
+}
+
+/*
+ * Tangent at p1, scaled by `tensionInv`, for a span whose knot interval is
+ * `knot`. Uniform splines (alpha = 0) use the chord p0 -> p2. Otherwise the
+ * knots are spaced |p1 - p0|^alpha and |p2 - p1|^alpha apart, and the tangent
+ * is rescaled from knot spacing to the span's 0-1 parameter.
+ */
+function spanTangent(p0, p1, p2, alpha, tensionInv, knot) {
+    const d1 = Math.pow(Math.hypot(p1.x - p0.x, p1.y - p0.y), alpha)
+    const d2 = Math.pow(Math.hypot(p2.x - p1.x, p2.y - p1.y), alpha)
+
+    if (alpha === 0 || d1 === 0 || d2 === 0 || knot === 0) {
+        return {
+            x: (p2.x - p0.x) * tensionInv,
+            y: (p2.y - p0.y) * tensionInv,
+        }
+    }
+
+    const scale = 2 * knot * tensionInv
+
+    return {
+        x: ((p1.x - p0.x) / d1 - (p2.x - p0.x) / (d1 + d2) + (p2.x - p1.x) / d2) * scale,
+        y: ((p1.y - p0.y) / d1 - (p2.y - p0.y) / (d1 + d2) + (p2.y - p1.y) / d2) * scale,
+    }
+}
+
+// Calculate a point on a span from its end points and tangents
+function hermitePoint(p1, p2, m0, m1, t) {
+    const t2 = t * t
+    const t3 = t2 * t
+
+    return {
+        x:
+            (2 * p1.x - 2 * p2.x + m0.x + m1.x) * t3 +
+            (-3 * p1.x + 3 * p2.x - 2 * m0.x - m1.x) * t2 +
+            m0.x * t +
+            p1.x,
+        y:
+            (2 * p1.y - 2 * p2.y + m0.y + m1.y) * t3 +
+            (-3 * p1.y + 3 * p2.y - 2 * m0.y - m1.y) * t2 +
+            m0.y * t +
+            p1.y,
+    }
+}
+
+function hermiteDerivative(p1, p2, m0, m1, t) {
+    const t2 = t * t
+
+    return {
+        x:
+            3 * (2 * p1.x - 2 * p2.x + m0.x + m1.x) * t2 +
+            2 * (-3 * p1.x + 3 * p2.x - 2 * m0.x - m1.x) * t +
+            m0.x,
+        y:
+            3 * (2 * p1.y - 2 * p2.y + m0.y + m1.y) * t2 +
+            2 * (-3 * p1.y + 3 * p2.y - 2 * m0.y - m1.y) * t +
+            m0.y,
+    }
+}
+
 /**
- * Generate a smooth Catmull-Rom spline curve as an SVG path string.
+ * Build a Catmull-Rom spline through points, with its path, Bézier segments
+ * and flattened points, plus the point, tangent and normal anywhere along it.
+ *
+ * `alpha` picks the parameterization: 0 is uniform (the classic look, and
+ * `spline`'s default), 0.5 is centripetal, which never forms cusps or loops
+ * at tight corners, and 1 is chordal.
  *
  * @param {Array<{x: number, y: number}>} [points=[]] - Array of control points
- * @param {number} [tension=0.5] - Curve tension (0 = sharp corners, 1 = smooth)
- * @param {boolean} [close=false] - Whether to close the path
- * @param {function} [cb] - Optional callback called with ('MOVE'|'LINE', [x, y]) for each path command
- * @param {number} [segmentCount=20] - Number of line segments per curve section (higher = smoother)
- * @returns {string} SVG path string (e.g., "M0,0L10,10L20,5...")
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.tension=0.5] - Curve tension (0 = sharp corners, 1 = smooth)
+ * @param {boolean} [options.close=false] - Whether to close the path
+ * @param {number} [options.alpha=0] - Parameterization: 0 = uniform, 0.5 = centripetal, 1 = chordal
+ * @param {boolean} [options.cubic=false] - Build the path from cubic Bézier (`C`) commands instead of line segments
+ * @param {number} [options.segmentCount=20] - Number of line segments per curve section
+ * @param {number} [options.tolerance] - Flatten adaptively so no line strays more than this from the curve (overrides segmentCount)
+ * @returns {{path: string, points: Array<{x: number, y: number}>, segments: Array<{start: {x: number, y: number}, control1: {x: number, y: number}, control2: {x: number, y: number}, end: {x: number, y: number}}>, closed: boolean, commands: Array<Array>, getPoint: function(number): ?{x: number, y: number}, getTangent: function(number): {x: number, y: number}, getNormal: function(number): {x: number, y: number}}} Spline
  * @example
- * const path = spline([{x: 0, y: 0}, {x: 50, y: 100}, {x: 100, y: 0}])
- * // Use in SVG: <path d={path} />
+ * const curve = createSpline(points, { alpha: 0.5, cubic: true })
+ * svg.path(curve.path)
+ *
+ * // Place a tick halfway along the curve
+ * const p = curve.getPoint(0.5)
+ * const n = curve.getNormal(0.5)
+ * svg.line(p.x, p.y, p.x + n.x * 10, p.y + n.y * 10)
  */
-function spline(points = [], tension = 0.5, close = false, cb, segmentCount = 20) {
+function createSpline(points = [], options) {
+    const opts = Object.assign(
+        {
+            tension: 0.5,
+            close: false,
+            alpha: 0,
+            cubic: false,
+            segmentCount: 20,
+            tolerance: undefined,
+        },
+        options
+    )
 
-    let tensionInv  = tension * 0.5;
-    if (points.length < 2) return ''
+    const { close, alpha, cubic, segmentCount, tolerance } = opts
+    const tensionInv = opts.tension * 0.5
+    const spans = points.length < 2 ? [] : buildSpans(points, close)
+
+    // Each span as a Hermite curve and its equivalent cubic Bézier
+    const hermites = spans.map(([p0, p1, p2, p3]) => {
+        const knot = Math.pow(Math.hypot(p2.x - p1.x, p2.y - p1.y), alpha)
+
+        return {
+            p1,
+            p2,
+            m0: spanTangent(p0, p1, p2, alpha, tensionInv, knot),
+            m1: spanTangent(p1, p2, p3, alpha, tensionInv, knot),
+        }
+    })
 
-    // Helper function to calculate a point on the curve
-    function catmullRom(p0, p1, p2, p3, t, tension) {
-        const t2 = t * t
-        const t3 = t2 * t
+    const segments = hermites.map(({ p1, p2, m0, m1 }) => ({
+        start: { x: p1.x, y: p1.y },
+        control1: { x: p1.x + m0.x / 3, y: p1.y + m0.y / 3 },
+        control2: { x: p2.x - m1.x / 3, y: p2.y - m1.y / 3 },
+        end: { x: p2.x, y: p2.y },
+    }))
 
-        // Calculate tension vectors
-        const m0 = {
-            x: (p2.x - p0.x) * tension,
-            y: (p2.y - p0.y) * tension,
+    // Flattened points, sampled evenly per span or subdivided by flatness
+    const flat = points.length > 0 ? [{ x: points[0].x, y: points[0].y }] : []
+
+    hermites.forEach(({ p1, p2, m0, m1 }, i) => {
+        if (tolerance > 0) {
+            const { start, control1, control2, end } = segments[i]
+            flat.push(...flattenBezier([start, control1, control2, end], tolerance).slice(1))
+            return
         }
-        const m1 = {
-            x: (p3.x - p1.x) * tension,
-            y: (p3.y - p1.y) * tension,
+
+        for (let j = 1; j <= segmentCount; j++) {
+            flat.push(hermitePoint(p1, p2, m0, m1, j / segmentCount))
         }
+    })
 
-        // Calculate the point
-        return {
-            x:
-                (2 * p1.x - 2 * p2.x + m0.x + m1.x) * t3 +
-                (-3 * p1.x + 3 * p2.x - 2 * m0.x - m1.x) * t2 +
-                m0.x * t +
-                p1.x,
-            y:
-                (2 * p1.y - 2 * p2.y + m0.y + m1.y) * t3 +
-                (-3 * p1.y + 3 * p2.y - 2 * m0.y - m1.y) * t2 +
-                m0.y * t +
-                p1.y,
+    // Path commands, in the form passed to `spline`'s callback
+    const commands = []
+
+    if (points.length >= 2) {
+        commands.push(['MOVE', [points[0].x, points[0].y]])
+
+        if (cubic) {
+            segments.forEach(({ control1, control2, end }) => {
+                commands.push(['CURVE', [control1.x, control1.y, control2.x, control2.y, end.x, end.y]])
+            })
+        } else {
+            flat.slice(1).forEach((pt) => commands.push(['LINE', [pt.x, pt.y]]))
         }
     }
 
-    let path = 'M' + [points[0].x, points[0].y]
-    cb && cb('MOVE', [points[0].x, points[0].y])
+    const letters = { MOVE: 'M', LINE: 'L', CURVE: 'C' }
+    let path = commands.map(([type, values]) => letters[type] + values).join('')
 
-    const numPoints = points.length
-    const loopLimit = close ? numPoints : numPoints - 1
+    if (close && path) {
+        path += 'Z'
+    }
 
-    for (let i = 0; i < loopLimit; i++) {
-        const p0 = points[i === 0 ? (close ? numPoints - 1 : i) : i - 1]
-        const p1 = points[i]
-        const p2 = points[(i + 1) % numPoints]
-        const p3 =
-            points[
-                i + 2 < numPoints ? i + 2 : close ? (i + 2) % numPoints : i + 1
-            ]
+    // Find the span and local parameter for t in [0, 1] along the whole spline
+    const locate = (t) => {
+        const u = Math.min(1, Math.max(0, t)) * hermites.length
+        const i = Math.min(hermites.length - 1, Math.floor(u))
+        return { span: hermites[i], local: u - i }
+    }
 
-        for (let j = 1; j <= segmentCount; j++) {
-            const t = j / segmentCount
-            const pt = catmullRom(p0, p1, p2, p3, t, tensionInv)
+    const getPoint = (t) => {
+        if (hermites.length === 0) {
+            return points.length > 0 ? { x: points[0].x, y: points[0].y } : null
+        }
+
+        const { span, local } = locate(t)
+        return hermitePoint(span.p1, span.p2, span.m0, span.m1, local)
+    }
+
+    const getTangent = (t) => {
+        if (hermites.length === 0) return { x: 0, y: 0 }
+
+        const { span, local } = locate(t)
+        let d = hermiteDerivative(span.p1, span.p2, span.m0, span.m1, local)
 
-            path += 'L' + [pt.x, pt.y]
-            cb && cb('LINE', [pt.x, pt.y])
+        // Zero tangents at repeated points; look just inside the span
+        if (d.x === 0 && d.y === 0) {
+            const nudged = local < 0.5 ? local + 1e-6 : local - 1e-6
+            d = hermiteDerivative(span.p1, span.p2, span.m0, span.m1, nudged)
         }
+
+        const len = Math.hypot(d.x, d.y)
+        return len > 0 ? { x: d.x / len, y: d.y / len } : { x: 0, y: 0 }
     }
 
-    if (close) {
-        path += 'Z'
+    // The tangent turned a quarter turn clockwise on screen
+    const getNormal = (t) => {
+        const { x, y } = getTangent(t)
+        return { x: -y, y: x }
+    }
+
+    return {
+        path,
+        points: flat,
+        segments,
+        closed: close,
+        commands,
+        getPoint,
+        getTangent,
+        getNormal,
     }
+}
+
+/**
+ * Generate a smooth Catmull-Rom spline curve as an SVG path string.
+ *
+ * Pass an options object as the second argument for centripetal or chordal
+ * splines, cubic Bézier output or adaptive flattening. It takes the
+ * `createSpline` options, plus `callback` in place of the `cb` argument.
+ *
+ * @param {Array<{x: number, y: number}>} [points=[]] - Array of control points
+ * @param {number|Object} [tension=0.5] - Curve tension (0 = sharp corners, 1 = smooth), or an options object
+ * @param {function} [tension.callback] - With an options object: called with ('MOVE'|'LINE'|'CURVE', values) for each path command, like `cb`
+ * @param {boolean} [close=false] - Whether to close the path
+ * @param {function} [cb] - Optional callback called with ('MOVE'|'LINE'|'CURVE', values) for each path command
+ * @param {number} [segmentCount=20] - Number of line segments per curve section (higher = smoother)
+ * @returns {string} SVG path string (e.g., "M0,0L10,10L20,5...")
+ * @example
+ * const path = spline([{x: 0, y: 0}, {x: 50, y: 100}, {x: 100, y: 0}])
+ * // Use in SVG: <path d={path} />
+ *
+ * // Centripetal, as compact cubic Bézier commands
+ * const compact = spline(points, { alpha: 0.5, cubic: true, close: true })
+ */
+function spline(points = [], tension = 0.5, close = false, cb, segmentCount = 20) {
+    const options =
+        typeof tension === 'object' && tension !== null
+            ? tension
+            : { tension, close, callback: cb, segmentCount }
+
+    if (points.length < 2) return ''
+
+    const curve = createSpline(points, options)
+    const callback = options.callback
+
+    callback && curve.commands.forEach(([type, values]) => callback(type, values))
 
-    return path
+    return curve.path
 }
 
-export { spline };
+export { spline, createSpline };
@@ -0,0 +1,462 @@
+import { GAUSS_NODES, GAUSS_WEIGHTS, curvePoint, curveDerivative } from './bezier.js';
+
+// Number of parameters each command takes
+const PARAMS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+// Curves are measured in this many pieces, each integrated separately
+const CURVE_STEPS = 32;
+
+// Read the raw commands of a path data string, with their parameters
+function tokenize(d) {
+  const commands = [];
+  const number = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+  let i = 0;
+  let current = null;
+
+  const skipSeparators = () => {
+    while (i < d.length && /[\s,]/.test(d[i])) i++;
+  };
+
+  while (true) {
+    skipSeparators();
+    if (i >= d.length) break;
+
+    const char = d[i];
+
+    if (/[MLHVCSQTAZ]/i.test(char)) {
+      current = { type: char, values: [] };
+      commands.push(current);
+      i++;
+      continue;
+    }
+
+    if (!current) {
+      throw new Error(`parsePath: path data must start with a command, found "${char}"`);
+    }
+
+    const upper = current.type.toUpperCase();
+    const index = current.values.length % (PARAMS[upper] || 1);
+
+    // Arc flags are single digits that may be written without separators
+    if (upper === 'A' && (index === 3 || index === 4)) {
+      if (char !== '0' && char !== '1') {
+        throw new Error(`parsePath: invalid arc flag "${char}"`);
+      }
+      current.values.push(Number(char));
+      i++;
+      continue;
+    }
+
+    const match = number.exec(d.slice(i));
+
+    if (!match || upper === 'Z') {
+      throw new Error(`parsePath: unexpected "${char}" at position ${i}`);
+    }
+
+    current.values.push(parseFloat(match[0]));
+    i += match[0].length;
+  }
+
+  return commands;
+}
+
+/**
+ * Parse SVG path data into absolute commands.
+ *
+ * Relative commands are made absolute and shorthand commands are expanded, so
+ * the result only uses `M`, `L`, `C`, `Q`, `A` and `Z`: `H` and `V` become `L`,
+ * `S` becomes `C` and `T` becomes `Q`.
+ *
+ * @param {string} d - Path data, as in the `d` attribute
+ * @returns {Array<Array>} Commands such as `['M', x, y]`, `['C', x1, y1, x2, y2, x, y]`, `['A', rx, ry, rotation, largeArc, sweep, x, y]` or `['Z']`
+ * @throws {Error} If the path data is invalid
+ * @example
+ * parsePath('m10 10 h 20 v 20 z')
+ * // [['M', 10, 10], ['L', 30, 10], ['L', 30, 30], ['Z']]
+ */
+export function parsePath(d) {
+  const result = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let prevType = null;
+  let controlX = 0;
+  let controlY = 0;
+
+  tokenize(String(d)).forEach(({ type, values }, index) => {
+    const upper = type.toUpperCase();
+    const count = PARAMS[upper];
+
+    // Every other command continues from a current point, which only a moveto sets
+    if (index === 0 && upper !== 'M') {
+      throw new Error(`parsePath: path data must start with a moveto (M or m), found "${type}"`);
+    }
+
+    if (upper === 'Z') {
+      if (values.length > 0) throw new Error('parsePath: Z takes no parameters');
+      result.push(['Z']);
+      x = startX;
+      y = startY;
+      prevType = 'Z';
+      return;
+    }
+
+    if (values.length === 0 || values.length % count !== 0) {
+      throw new Error(`parsePath: ${type} expects parameters in groups of ${count}`);
+    }
+
+    for (let i = 0; i < values.length; i += count) {
+      const relative = type !== upper;
+      // Pairs after the first in a moveto are implicit linetos
+      const command = upper === 'M' && i > 0 ? 'L' : upper;
+      const v = values.slice(i, i + count);
+      const ox = relative ? x : 0;
+      const oy = relative ? y : 0;
+
+      switch (command) {
+        case 'M':
+          x = v[0] + ox;
+          y = v[1] + oy;
+          startX = x;
+          startY = y;
+          result.push(['M', x, y]);
+          break;
+        case 'L':
+          x = v[0] + ox;
+          y = v[1] + oy;
+          result.push(['L', x, y]);
+          break;
+        case 'H':
+          x = v[0] + ox;
+          result.push(['L', x, y]);
+          break;
+        case 'V':
+          y = v[0] + oy;
+          result.push(['L', x, y]);
+          break;
+        case 'C':
+        case 'S': {
+          // S reflects the previous cubic's second control point
+          const reflect = command === 'S' && prevType === 'C';
+          const x1 = command === 'C' ? v[0] + ox : reflect ? 2 * x - controlX : x;
+          const y1 = command === 'C' ? v[1] + oy : reflect ? 2 * y - controlY : y;
+          const rest = command === 'C' ? v.slice(2) : v;
+
+          controlX = rest[0] + ox;
+          controlY = rest[1] + oy;
+          x = rest[2] + ox;
+          y = rest[3] + oy;
+          result.push(['C', x1, y1, controlX, controlY, x, y]);
+          break;
+        }
+        case 'Q':
+        case 'T': {
+          // T reflects the previous quadratic's control point
+          if (command === 'Q') {
+            controlX = v[0] + ox;
+            controlY = v[1] + oy;
+          } else if (prevType === 'Q') {
+            controlX = 2 * x - controlX;
+            controlY = 2 * y - controlY;
+          } else {
+            controlX = x;
+            controlY = y;
+          }
+
+          x = v[v.length - 2] + ox;
+          y = v[v.length - 1] + oy;
+          result.push(['Q', controlX, controlY, x, y]);
+          break;
+        }
+        case 'A':
+          x = v[5] + ox;
+          y = v[6] + oy;
+          result.push(['A', v[0], v[1], v[2], v[3], v[4], x, y]);
+          break;
+      }
+
+      prevType = command === 'S' ? 'C' : command === 'T' ? 'Q' : command;
+    }
+  });
+
+  return result;
+}
+
+// A straight segment with a closed-form length
+function lineSegment(x0, y0, x1, y1) {
+  const length = Math.sqrt((x1 - x0) ** 2 + (y1 - y0) ** 2);
+
+  return {
+    length,
+    point: (t) => ({ x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t }),
+    derivative: () => ({ x: x1 - x0, y: y1 - y0 }),
+    paramAt: (s) => (length > 0 ? s / length : 0)
+  };
+}
+
+// A parametric curve measured with Gauss–Legendre quadrature
+function curveSegment(point, derivative) {
+  const speed = (t) => {
+    const d = derivative(t);
+    return Math.sqrt(d.x * d.x + d.y * d.y);
+  };
+
+  // Length of the curve between parameters a and b
+  const lengthBetween = (a, b) =>
+    GAUSS_NODES.reduce((sum, node, k) => sum + GAUSS_WEIGHTS[k] * speed(a + (b - a) * node), 0) * (b - a);
+
+  const lengths = [0];
+
+  for (let i = 0; i < CURVE_STEPS; i++) {
+    lengths.push(lengths[i] + lengthBetween(i / CURVE_STEPS, (i + 1) / CURVE_STEPS));
+  }
+
+  const length = lengths[CURVE_STEPS];
+
+  // Map a distance along the curve to its parameter
+  const paramAt = (s) => {
+    if (length === 0) return 0;
+
+    let i = 0;
+    while (i < CURVE_STEPS - 1 && lengths[i + 1] < s) i++;
+
+    const t0 = i / CURVE_STEPS;
+    const t1 = (i + 1) / CURVE_STEPS;
+    const piece = lengths[i + 1] - lengths[i];
+    let t = t0 + (t1 - t0) * (piece > 0 ? Math.min(1, Math.max(0, (s - lengths[i]) / piece)) : 0);
+
+    // Refine the linear estimate with a few Newton steps
+    for (let k = 0; k < 4; k++) {
+      const v = speed(t);
+      if (v === 0) break;
+
+      t = Math.min(t1, Math.max(t0, t - (lengths[i] + lengthBetween(t0, t) - s) / v));
+    }
+
+    return t;
+  };
+
+  return { length, point, derivative, paramAt };
+}
+
+// Bézier segments, measured with the same curve math as bezier.js
+function bezierSegment(pts) {
+  return curveSegment(
+    (t) => curvePoint(pts, t),
+    (t) => curveDerivative(pts, t)
+  );
+}
+
+function cubicSegment(x0, y0, x1, y1, x2, y2, x3, y3) {
+  return bezierSegment([
+    { x: x0, y: y0 },
+    { x: x1, y: y1 },
+    { x: x2, y: y2 },
+    { x: x3, y: y3 }
+  ]);
+}
+
+function quadraticSegment(x0, y0, x1, y1, x2, y2) {
+  return bezierSegment([
+    { x: x0, y: y0 },
+    { x: x1, y: y1 },
+    { x: x2, y: y2 }
+  ]);
+}
+
+// Convert an endpoint arc to center form, following the SVG spec (F.6.5, F.6.6)
+function arcSegment(x0, y0, rx, ry, rotation, largeArc, sweep, x1, y1) {
+  if (x0 === x1 && y0 === y1) return null;
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+
+  if (rx === 0 || ry === 0) return lineSegment(x0, y0, x1, y1);
+
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x0 - x1) / 2;
+  const dy = (y0 - y1) / 2;
+  const px = cos * dx + sin * dy;
+  const py = -sin * dx + cos * dy;
+
+  // Scale up radii that are too small to reach the end point
+  const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+  const den = rx * rx * py * py + ry * ry * px * px;
+  const coef = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+  const cxp = (coef * rx * py) / ry;
+  const cyp = (-coef * ry * px) / rx;
+  const cx = cos * cxp - sin * cyp + (x0 + x1) / 2;
+  const cy = sin * cxp + cos * cyp + (y0 + y1) / 2;
+
+  const theta = Math.atan2((py - cyp) / ry, (px - cxp) / rx);
+  let delta = Math.atan2((-py - cyp) / ry, (-px - cxp) / rx) - theta;
+
+  if (sweep && delta < 0) delta += Math.PI * 2;
+  if (!sweep && delta > 0) delta -= Math.PI * 2;
+
+  return curveSegment(
+    (t) => {
+      const angle = theta + delta * t;
+      const ex = rx * Math.cos(angle);
+      const ey = ry * Math.sin(angle);
+      return { x: cx + cos * ex - sin * ey, y: cy + sin * ex + cos * ey };
+    },
+    (t) => {
+      const angle = theta + delta * t;
+      const ex = -rx * Math.sin(angle) * delta;
+      const ey = ry * Math.cos(angle) * delta;
+      return { x: cos * ex - sin * ey, y: sin * ex + cos * ey };
+    }
+  );
+}
+
+// Turn absolute commands into measurable segments
+function buildSegments(commands) {
+  const segments = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+
+  commands.forEach((c) => {
+    let segment = null;
+
+    switch (c[0]) {
+      case 'M':
+        [, x, y] = c;
+        startX = x;
+        startY = y;
+        return;
+      case 'L':
+        segment = lineSegment(x, y, c[1], c[2]);
+        break;
+      case 'C':
+        segment = cubicSegment(x, y, c[1], c[2], c[3], c[4], c[5], c[6]);
+        break;
+      case 'Q':
+        segment = quadraticSegment(x, y, c[1], c[2], c[3], c[4]);
+        break;
+      case 'A':
+        segment = arcSegment(x, y, c[1], c[2], c[3], c[4], c[5], c[6], c[7]);
+        break;
+      case 'Z':
+        segment = lineSegment(x, y, startX, startY);
+        break;
+    }
+
+    if (c[0] === 'Z') {
+      x = startX;
+      y = startY;
+    } else {
+      x = c[c.length - 2];
+      y = c[c.length - 1];
+    }
+
+    if (segment) segments.push(segment);
+  });
+
+  return segments;
+}
+
+/**
+ * Measure an SVG path without the DOM, so it works in Node, workers and
+ * headless export scripts. Mirrors the path element's `getTotalLength` and
+ * `getPointAtLength`, and adds tangents and evenly spaced sampling.
+ *
+ * @param {string|SVGPathElement} path - Path data, or an element with a `d` attribute
+ * @returns {{length: number, commands: Array<Array>, getTotalLength: function(): number, getPointAtLength: function(number): {x: number, y: number}, getTangentAtLength: function(number): {x: number, y: number}, getPoints: function(number=): Array<{x: number, y: number}>}} Path measure
+ * @throws {Error} If the path data is invalid
+ * @example
+ * const measure = createPathMeasure('M 50,200 Q 200,50 350,200')
+ * const mid = measure.getPointAtLength(measure.length / 2)
+ * const { x, y } = measure.getTangentAtLength(measure.length / 2) // Unit direction
+ * const points = measure.getPoints(20) // Same as pointsInPath
+ */
+export function createPathMeasure(path) {
+  const d = typeof path === 'string' ? path : path.getAttribute('d') || '';
+  const commands = parsePath(d);
+  const segments = buildSegments(commands);
+  const starts = [];
+  let length = 0;
+
+  segments.forEach((segment) => {
+    starts.push(length);
+    length += segment.length;
+  });
+
+  // Where an empty path "is": its first move, or the origin
+  const origin = commands.length > 0 ? { x: commands[0][1], y: commands[0][2] } : { x: 0, y: 0 };
+
+  // Find the segment and parameter at a distance along the path
+  const locate = (distance) => {
+    const s = Math.min(length, Math.max(0, Number(distance) || 0));
+    let lo = 0;
+    let hi = segments.length - 1;
+
+    // First segment that reaches s, so a joint belongs to the segment ending there
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (starts[mid] + segments[mid].length >= s) hi = mid;
+      else lo = mid + 1;
+    }
+
+    const segment = segments[lo];
+    return { segment, t: segment.paramAt(s - starts[lo]) };
+  };
+
+  const getPointAtLength = (distance) => {
+    if (segments.length === 0) return { ...origin };
+
+    const { segment, t } = locate(distance);
+    return segment.point(t);
+  };
+
+  const getTangentAtLength = (distance) => {
+    if (segments.length === 0) return { x: 1, y: 0 };
+
+    const { segment, t } = locate(distance);
+    let d = segment.derivative(t);
+
+    // Control points on an end point leave the derivative at zero; look just inside
+    if (d.x === 0 && d.y === 0) d = segment.derivative(t < 0.5 ? t + 1e-6 : t - 1e-6);
+
+    const len = Math.sqrt(d.x * d.x + d.y * d.y);
+    return len > 0 ? { x: d.x / len, y: d.y / len } : { x: 1, y: 0 };
+  };
+
+  const getPoints = (numPoints = 10) => {
+    if (numPoints < 1) return [];
+    if (numPoints === 1) return [getPointAtLength(0)];
+
+    const step = length / (numPoints - 1);
+    const points = [];
+
+    for (let i = 0; i < numPoints - 1; i++) {
+      points.push(getPointAtLength(i * step));
+    }
+
+    // Ensure the last point is the end of the path
+    points.push(getPointAtLength(length));
+
+    return points;
+  };
+
+  return {
+    length,
+    commands,
+    getTotalLength: () => length,
+    getPointAtLength,
+    getTangentAtLength,
+    getPoints
+  };
+}
@@ -0,0 +1,19 @@
+// Shared by the geometry functions, which accept {x, y} objects and [x, y] pairs alike
+
+/**
+ * Normalize a point to an `{x, y}` object.
+ * @param {{x: number, y: number}|[number, number]} point - Point in either form
+ * @returns {{x: number, y: number}} A new point object
+ */
+export function toPoint(point) {
+  return Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point.x, y: point.y };
+}
+
+/**
+ * Normalize a point to an `[x, y]` pair.
+ * @param {{x: number, y: number}|[number, number]} point - Point in either form
+ * @returns {[number, number]} A new pair
+ */
+export function toPair(point) {
+  return Array.isArray(point) ? [point[0], point[1]] : [point.x, point.y];
+}
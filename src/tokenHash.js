@@ -0,0 +1,65 @@
+import seedrandom from "seedrandom";
+import { createRandom } from "./createRandom.js";
+
+const HASH_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+
+/**
+ * Turn a 64-hex-character token hash into a seed.
+ * The result can be passed anywhere a seed is accepted: `seedPRNG`,
+ * `createRandom`, `hashRandom` or the `seed` option of `createNoiseGrid`.
+ * The hash is normalized, so `0xABC...` and `abc...` give the same seed.
+ *
+ * @param {string} hash - Token hash, with or without a `0x` prefix
+ * @returns {string} Normalized seed (lowercase, `0x` prefixed)
+ * @throws {Error} If the hash is not 64 hexadecimal characters
+ * @example
+ * seedPRNG(seedFromHash(tokenData.hash))
+ * const grid = createNoiseGrid({ seed: seedFromHash(tokenData.hash) })
+ */
+function seedFromHash(hash) {
+  if (typeof hash !== "string" || !HASH_PATTERN.test(hash)) {
+    throw new Error(
+      `seedFromHash: expected a 64 character hex string, got "${hash}"`
+    );
+  }
+
+  return "0x" + hash.replace(/^0x/, "").toLowerCase();
+}
+
+/**
+ * Create an independent random generator seeded from a token hash.
+ * Shorthand for `createRandom(seedFromHash(hash))`.
+ *
+ * @param {string} hash - Token hash, with or without a `0x` prefix
+ * @returns {import("./createRandom.js").RandomInstance} Random functions bound to the hash's stream
+ * @throws {Error} If the hash is not 64 hexadecimal characters
+ * @example
+ * const rng = createHashRandom(tokenData.hash)
+ * const points = rng.poissonDisc({ width: 800, height: 800, radius: 20 })
+ */
+function createHashRandom(hash) {
+  return createRandom(seedFromHash(hash));
+}
+
+/**
+ * Generate a random token hash, for iterating locally before minting.
+ * Uses an unseeded generator, so it is unaffected by (and does not
+ * affect) `seedPRNG`.
+ *
+ * @returns {string} A `0x` prefixed, 64 character lowercase hex string
+ * @example
+ * const hash = new URLSearchParams(location.search).get('hash') || randomHash()
+ * seedPRNG(seedFromHash(hash))
+ */
+function randomHash() {
+  const rng = seedrandom();
+  let hash = "0x";
+
+  for (let i = 0; i < 64; i++) {
+    hash += Math.floor(rng() * 16).toString(16);
+  }
+
+  return hash;
+}
+
+export { seedFromHash, createHashRandom, randomHash };
@@ -0,0 +1,235 @@
+// Spatial hash for "is any point within distance" queries
+function createPointHash(cellSize) {
+  const cells = new Map();
+
+  const cellKey = (col, row) => col + ',' + row;
+
+  return {
+    add(p) {
+      const key = cellKey(Math.floor(p.x / cellSize), Math.floor(p.y / cellSize));
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(p);
+    },
+    isFree(p, distance) {
+      const col = Math.floor(p.x / cellSize);
+      const row = Math.floor(p.y / cellSize);
+      const reach = Math.ceil(distance / cellSize);
+      const distSq = distance * distance;
+
+      for (let r = row - reach; r <= row + reach; r++) {
+        for (let c = col - reach; c <= col + reach; c++) {
+          const bucket = cells.get(cellKey(c, r));
+          if (!bucket) continue;
+
+          for (const other of bucket) {
+            const dx = other.x - p.x;
+            const dy = other.y - p.y;
+            if (dx * dx + dy * dy < distSq) return false;
+          }
+        }
+      }
+
+      return true;
+    }
+  };
+}
+
+/**
+ * Trace streamlines (polylines) through a flow field.
+ *
+ * With `separation` set, lines are evenly spaced using the Jobard–Lefer
+ * algorithm: new lines are seeded alongside existing ones and stop before
+ * they get closer than `testDistance` to another line, so no two lines touch.
+ * Without it, one line is traced from each seed point.
+ *
+ * @param {Object} options - Configuration options
+ * @param {function(number, number): number|{sample: function(number, number): number}} options.field - Function returning the flow angle (radians) at a point, or a noise grid (angle = sample * 2π). Return null or NaN to stop a line
+ * @param {Array<{x: number, y: number}>} [options.seeds] - Start points (in evenly spaced mode, the first seeds; defaults to the center)
+ * @param {number} [options.width] - Width of the area; lines stop at its edge (required with separation)
+ * @param {number} [options.height] - Height of the area; lines stop at its edge (required with separation)
+ * @param {number} [options.stepSize=2] - Distance advanced per integration step
+ * @param {number} [options.maxSteps=500] - Maximum steps per direction
+ * @param {number} [options.maxLength=Infinity] - Maximum length of each line
+ * @param {number} [options.minLength=0] - Lines shorter than this are discarded
+ * @param {string} [options.integrator='rk4'] - 'euler', 'rk2' or 'rk4'
+ * @param {boolean} [options.bidirectional] - Trace backward from the seed too (defaults to true when separation is set)
+ * @param {number} [options.separation] - Distance between evenly spaced lines (enables Jobard–Lefer mode)
+ * @param {number} [options.testDistance=separation / 2] - How close a line may get to another before it stops
+ * @returns {Array<Array<{x: number, y: number}>>} Array of polylines
+ * @throws {Error} If separation is set without width and height
+ * @example
+ * const grid = createNoiseGrid({ width: 400, height: 400, cellSize: 10, xInc: 0.05, yInc: 0.05 })
+ * const lines = traceFlowField({ field: grid, width: 400, height: 400, separation: 8 })
+ * lines.forEach(line => svg.path(pointsToPath(line, false)).fill('none').stroke('#000'))
+ */
+export function traceFlowField(options) {
+  const opts = Object.assign(
+    {
+      field: () => 0,
+      seeds: [],
+      width: undefined,
+      height: undefined,
+      stepSize: 2,
+      maxSteps: 500,
+      maxLength: Infinity,
+      minLength: 0,
+      integrator: 'rk4',
+      bidirectional: undefined,
+      separation: undefined,
+      testDistance: undefined
+    },
+    options
+  );
+
+  const { width, height, stepSize, maxSteps, maxLength, minLength, separation } = opts;
+  const evenlySpaced = separation !== undefined;
+  const bidirectional = opts.bidirectional !== undefined ? opts.bidirectional : evenlySpaced;
+  const testDistance = opts.testDistance !== undefined ? opts.testDistance : separation / 2;
+
+  if (evenlySpaced && (width === undefined || height === undefined)) {
+    throw new Error('traceFlowField: width and height are required when separation is set');
+  }
+
+  const angleAt =
+    typeof opts.field === 'function'
+      ? opts.field
+      : (x, y) => opts.field.sample(x, y) * Math.PI * 2;
+
+  // Unit direction of the field, or null where the field stops
+  const direction = (x, y) => {
+    const angle = angleAt(x, y);
+    if (angle === null || angle === undefined || Number.isNaN(angle)) return null;
+    return { x: Math.cos(angle), y: Math.sin(angle) };
+  };
+
+  const inBounds = (p) =>
+    (width === undefined || (p.x >= 0 && p.x <= width)) &&
+    (height === undefined || (p.y >= 0 && p.y <= height));
+
+  // One integration step of length h (negative h steps backward)
+  const step = (p, h) => {
+    const k1 = direction(p.x, p.y);
+    if (!k1) return null;
+
+    if (opts.integrator === 'euler') {
+      return { x: p.x + k1.x * h, y: p.y + k1.y * h };
+    }
+
+    const k2 = direction(p.x + (k1.x * h) / 2, p.y + (k1.y * h) / 2);
+    if (!k2) return null;
+
+    if (opts.integrator === 'rk2') {
+      return { x: p.x + k2.x * h, y: p.y + k2.y * h };
+    }
+
+    const k3 = direction(p.x + (k2.x * h) / 2, p.y + (k2.y * h) / 2);
+    if (!k3) return null;
+
+    const k4 = direction(p.x + k3.x * h, p.y + k3.y * h);
+    if (!k4) return null;
+
+    return {
+      x: p.x + ((k1.x + 2 * k2.x + 2 * k3.x + k4.x) * h) / 6,
+      y: p.y + ((k1.y + 2 * k2.y + 2 * k3.y + k4.y) * h) / 6
+    };
+  };
+
+  // Points of finished lines (evenly spaced mode only)
+  const cellSize = evenlySpaced ? separation : 1;
+  const grid = createPointHash(cellSize);
+
+  // Points closer than this along a line are neighbours, not collisions
+  const selfGap = evenlySpaced ? Math.ceil(testDistance / stepSize) + 1 : 0;
+
+  // Follow the field from `start` in one direction, avoiding `own` points
+  const traceDirection = (start, sign, own) => {
+    const points = [];
+    let p = start;
+    let length = 0;
+
+    for (let i = 0; i < maxSteps; i++) {
+      const next = step(p, stepSize * sign);
+
+      if (!next || !inBounds(next)) break;
+
+      if (evenlySpaced) {
+        if (!grid.isFree(next, testDistance) || !own.isFree(next, testDistance)) break;
+        if (i >= selfGap) own.add(points[i - selfGap]);
+      }
+
+      const dx = next.x - p.x;
+      const dy = next.y - p.y;
+      length += Math.sqrt(dx * dx + dy * dy);
+
+      if (length > maxLength) break;
+
+      points.push(next);
+      p = next;
+    }
+
+    return { points, length };
+  };
+
+  const traceLine = (start) => {
+    const forward = traceDirection(start, 1, createPointHash(cellSize));
+
+    // The backward half may not cross the forward half either
+    const own = createPointHash(cellSize);
+    forward.points.slice(selfGap).forEach(own.add);
+
+    const backward = bidirectional ? traceDirection(start, -1, own) : { points: [], length: 0 };
+
+    if (forward.length + backward.length < minLength) return null;
+
+    const line = backward.points.reverse().concat([{ x: start.x, y: start.y }], forward.points);
+
+    return line.length > 1 ? line : null;
+  };
+
+  if (!evenlySpaced) {
+    return opts.seeds.map(traceLine).filter((line) => line !== null);
+  }
+
+  const lines = [];
+  const queue = [];
+  const seeds = opts.seeds.length > 0 ? opts.seeds.slice() : [{ x: width / 2, y: height / 2 }];
+
+  const tryLine = (start) => {
+    if (!inBounds(start) || !grid.isFree(start, separation)) return;
+
+    const line = traceLine(start);
+    if (!line) return;
+
+    line.forEach(grid.add);
+    lines.push(line);
+    queue.push(line);
+  };
+
+  while (queue.length > 0 || seeds.length > 0) {
+    if (queue.length === 0) {
+      tryLine(seeds.shift());
+      continue;
+    }
+
+    const line = queue.shift();
+
+    // Seed new lines one separation away on both sides of each point
+    for (let i = 0; i < line.length; i++) {
+      const a = line[Math.max(0, i - 1)];
+      const b = line[Math.min(line.length - 1, i + 1)];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const len = Math.sqrt(dx * dx + dy * dy);
+
+      if (len === 0) continue;
+
+      const nx = -dy / len;
+      const ny = dx / len;
+
+      tryLine({ x: line[i].x + nx * separation, y: line[i].y + ny * separation });
+      tryLine({ x: line[i].x - nx * separation, y: line[i].y - ny * separation });
+    }
+  }
+
+  return lines;
+}